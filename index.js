@@ -14,6 +14,12 @@ import {
   characters,
   this_chid,
   saveSettingsDebounced,
+  substituteParams,
+  getMaxContextSize,
+  getCurrentChatId,
+  extension_prompt_types,
+  name1,
+  main_api,
 } from '../../../../script.js';
 
 import {
@@ -34,16 +40,31 @@ import {
   world_info,
   world_names,
   openWorldInfoEditor,
-  createWorldInfoEntry,
   deleteWorldInfoEntry,
   loadWorldInfo,
   saveWorldInfo,
   newWorldInfoEntryDefinition,
   moveWorldInfoEntry,
+  world_info_depth,
+  world_info_case_sensitive,
+  world_info_match_whole_words,
+  world_info_include_names,
+  world_info_logic,
+  world_info_budget,
+  world_info_budget_cap,
+  world_info_use_group_scoring,
+  getSortedEntries,
 } from '../../../world-info.js';
 
-import { getCharaFilename, delay } from '../../../utils.js';
+import { getCharaFilename, delay, escapeRegex, download, debounce } from '../../../utils.js';
 import { addLocaleData, getCurrentLocale, t } from '../../../i18n.js';
+import { tags, tag_map } from '../../../tags.js';
+import { getTokenCountAsync } from '../../../tokenizers.js';
+import { selected_group, groups } from '../../../group-chats.js';
+import { localforage, DiffMatchPatch } from '../../../../lib.js';
+import { metadata_keys } from '../../../authors-note.js';
+import { power_user } from '../../../power-user.js';
+import { oai_settings } from '../../../openai.js';
 
 // ===== Extension Info =====
 const url = new URL(import.meta.url);
@@ -58,6 +79,17 @@ const defaultSettings = {
   enableWorldbookManager: true,
   viewerCacheLimit: 10, // Maximum number of messages to keep World Info viewer data
   viewerIcon: 'fa-globe', // Icon for the viewer button
+  viewerButtonPlacement: 'extra', // Where the viewer button goes: 'extra' (… menu) or 'main' (message button row)
+  viewerButtonBadge: true, // Show the number of triggered entries on the viewer button
+  viewerCompactMode: false, // Hide entry details in the viewer popup until expanded
+  viewerArchiveEnabled: false, // Keep records removed by the cache limit in a compressed side store
+  viewerArchiveMaxAgeDays: 0, // Drop archived records older than this (0 = keep forever)
+  viewerArchiveMaxSizeMb: 50, // Total archive size limit in MB (0 = unlimited)
+  viewerHudEnabled: false, // Show the latest activation set in a docked side panel
+  viewerHudDock: 'right', // Side of the screen the panel is docked to (left/right)
+  viewerHudWidth: 320, // Panel width in px (ignored on mobile widths)
+  viewerHudHeight: 60, // Panel height in % of the viewport
+  bulkSavedQueries: {}, // Named bulk editor selection queries, keyed by book name
   showGlobalLorebookMobile: true, // Show global lorebooks on mobile
   showGlobalLorebookDesktop: true, // Show global lorebooks on desktop
 };
@@ -230,10 +262,16 @@ function getSourceDisplayName(sourceKey) {
   return getWiSourceDisplay()[sourceKey] || '';
 }
 
+const STATUS_NAME_KEYS = {
+  constant: 'statusConstant',
+  vectorized: 'statusVectorized',
+  keyword: 'statusKeyword',
+};
+
 function getEntryStatus(entry) {
-  if (entry.constant === true) return { emoji: '🔵', name: i18n('statusConstant') };
-  if (entry.vectorized === true) return { emoji: '🔗', name: i18n('statusVectorized') };
-  return { emoji: '🟢', name: i18n('statusKeyword') };
+  if (entry.constant === true) return { key: 'constant', emoji: '🔵', name: i18n('statusConstant') };
+  if (entry.vectorized === true) return { key: 'vectorized', emoji: '🔗', name: i18n('statusVectorized') };
+  return { key: 'keyword', emoji: '🟢', name: i18n('statusKeyword') };
 }
 
 function formatRoleDepthTag(entry) {
@@ -477,6 +515,21 @@ function getCharacterBoundWorldbookSet() {
   return bound;
 }
 
+// Books that currently take part in World Info scans (character, chat and global)
+function getActiveWorldbookNames() {
+  const names = [...getCharacterBoundWorldbookSet()];
+
+  if (Array.isArray(selected_world_info)) {
+    selected_world_info.forEach((worldName) => {
+      if (worldName && !names.includes(worldName)) {
+        names.push(worldName);
+      }
+    });
+  }
+
+  return names;
+}
+
 function getWorldbookCustomOrder(names, settings) {
   const nameSet = new Set(names);
   const order = settings.customOrder.filter((name) => nameSet.has(name));
@@ -654,12 +707,127 @@ function applyWorldbookManagerToEditorSelect() {
   rebuildWorldEditorOptions(visibleNames, selectedName);
 }
 
-function processWorldInfoData(activatedEntries) {
+// ===== Keyword Match Explanation =====
+const MATCH_SNIPPET_RADIUS = 40;
+
+// Mirrors SillyTavern's /pattern/flags key syntax
+function parseKeyRegex(key) {
+  const match = /^\/([\w\W]+?)\/([gimsuy]*)$/.exec(String(key ?? '').trim());
+  if (!match) return null;
+
+  try {
+    return new RegExp(match[1], match[2].replace('g', ''));
+  } catch (_err) {
+    return null;
+  }
+}
+
+function findKeyInText(text, key, entry) {
+  const rawHaystack = String(text ?? '');
+  const keyRegex = parseKeyRegex(key);
+  if (keyRegex) {
+    const found = keyRegex.exec(rawHaystack);
+    return found ? { index: found.index, length: found[0].length } : null;
+  }
+
+  const caseSensitive = entry?.caseSensitive ?? world_info_case_sensitive;
+  const haystack = caseSensitive ? rawHaystack : rawHaystack.toLowerCase();
+  const needle = caseSensitive ? String(key ?? '').trim() : String(key ?? '').trim().toLowerCase();
+  if (!needle) return null;
+
+  const matchWholeWords = entry?.matchWholeWords ?? world_info_match_whole_words;
+  if (matchWholeWords && needle.split(/\s+/).length === 1) {
+    const found = new RegExp(`(?:^|\\W)(${escapeRegex(needle)})(?:$|\\W)`).exec(haystack);
+    if (!found) return null;
+    return { index: found.index + found[0].indexOf(found[1]), length: found[1].length };
+  }
+
+  const index = haystack.indexOf(needle);
+  return index >= 0 ? { index, length: needle.length } : null;
+}
+
+// Returns the chat messages a scan of the given depth would see, newest first
+// draftText is treated as the newest message, as if it had been sent at index scanEnd
+function getScanMessages(scanDepth, scanEnd = chat?.length ?? 0, draftText = '') {
+  const messages = [];
+  if (!Array.isArray(chat)) return messages;
+
+  const depth = Math.max(0, Number(scanDepth) || 0);
+  if (draftText && depth > 0) {
+    messages.push({ messageIndex: scanEnd, text: world_info_include_names ? `${name1}: ${draftText}` : draftText });
+  }
+  for (let i = Math.min(scanEnd, chat.length) - 1; i >= 0 && messages.length < depth; i--) {
+    const message = chat[i];
+    if (!message || message.is_system) continue;
+
+    const text = world_info_include_names ? `${message.name}: ${message.mes}` : String(message.mes ?? '');
+    messages.push({ messageIndex: i, text });
+  }
+
+  return messages;
+}
+
+function findKeyMatches(entry, keys, messages) {
+  const matches = [];
+  if (!Array.isArray(keys)) return matches;
+
+  keys.forEach((rawKey) => {
+    const key = substituteParams(String(rawKey ?? '')).trim();
+    if (!key) return;
+
+    for (const { messageIndex, text } of messages) {
+      const found = findKeyInText(text, key, entry);
+      if (!found) continue;
+
+      const start = Math.max(0, found.index - MATCH_SNIPPET_RADIUS);
+      const end = Math.min(text.length, found.index + found.length + MATCH_SNIPPET_RADIUS);
+      matches.push({
+        key: rawKey,
+        messageIndex,
+        before: `${start > 0 ? '…' : ''}${text.slice(start, found.index)}`,
+        match: text.slice(found.index, found.index + found.length),
+        after: `${text.slice(found.index + found.length, end)}${end < text.length ? '…' : ''}`,
+      });
+      break;
+    }
+  });
+
+  return matches;
+}
+
+function explainEntryMatch(entry, scanEnd, draftText = '') {
+  if (entry.constant === true || entry.vectorized === true) return null;
+
+  const messages = getScanMessages(entry.scanDepth ?? world_info_depth, scanEnd, draftText);
+  const hasSecondary = entry.selective !== false && Array.isArray(entry.keysecondary) && entry.keysecondary.length > 0;
+
+  return {
+    matchedKeys: findKeyMatches(entry, entry.key, messages),
+    matchedSecondaryKeys: hasSecondary ? findKeyMatches(entry, entry.keysecondary, messages) : [],
+  };
+}
+
+function evaluateSecondaryLogic(logic, matchedCount, totalCount) {
+  switch (logic) {
+    case world_info_logic.NOT_ALL:
+      return matchedCount < totalCount;
+    case world_info_logic.NOT_ANY:
+      return matchedCount === 0;
+    case world_info_logic.AND_ALL:
+      return matchedCount === totalCount;
+    case world_info_logic.AND_ANY:
+    default:
+      return matchedCount > 0;
+  }
+}
+
+function processWorldInfoData(activatedEntries, { scanEnd = chat?.length ?? 0, truncatedEntries = [], scanSteps, draftText = '' } = {}) {
   const byPosition = {};
+  const provenanceCandidates = [];
   const positionInfo = getPositionInfo();
   const selectiveLogicInfo = getSelectiveLogicInfo();
 
-  activatedEntries.forEach((entryRaw) => {
+  const addEntry = (entryRaw, budgetTruncated) => {
     if (!entryRaw || typeof entryRaw !== 'object') return;
 
     const position = (typeof entryRaw.position === 'number') ? entryRaw.position : 0;
@@ -684,12 +852,15 @@ function processWorldInfoData(activatedEntries) {
       (typeof entryRaw.order === 'number' ? entryRaw.order : undefined) ??
       getWorldOrderByName(entryRaw.world);
 
+    const matchExplanation = explainEntryMatch(entryRaw, scanEnd, draftText);
+
     const processedEntry = {
       uid: entryRaw.uid,
       worldName: entryRaw.world,
       entryName: entryRaw.comment || `${i18n('entryLabel')} #${entryRaw.uid}`,
       sourceKey,
       sourceName,
+      statusKey: status.key,
       statusEmoji: status.emoji,
       statusName: status.name,
       content: entryRaw.content,
@@ -702,12 +873,32 @@ function processWorldInfoData(activatedEntries) {
       depth: entryRaw.depth ?? null,
       displayDepth: (position === 4) ? (entryRaw.depth ?? null) : null,
       roleDepthTag: (position === 4) ? formatRoleDepthTag(entryRaw) : null,
+      outletName: (position === 7) ? (entryRaw.outletName ?? '') : null,
+      inclusionGroup: entryRaw.group || '',
       role: (entryRaw.role || entryRaw.messageRole || 'assistant'),
       sourceType: getEntrySourceType(entryRaw),
       worldOrder,
+      hasMatchExplanation: Boolean(matchExplanation),
+      matchedKeys: matchExplanation?.matchedKeys ?? [],
+      matchedSecondaryKeys: matchExplanation?.matchedSecondaryKeys ?? [],
+      budgetTruncated,
     };
 
     byPosition[posKey].entries.push(processedEntry);
+    provenanceCandidates.push({
+      identity: getEntryIdentity(entryRaw),
+      raw: entryRaw,
+      matchedKeys: processedEntry.matchedKeys,
+      processed: processedEntry,
+    });
+  };
+
+  activatedEntries.forEach((entryRaw) => addEntry(entryRaw, false));
+  truncatedEntries.forEach((entryRaw) => addEntry(entryRaw, true));
+
+  const provenance = resolveActivationProvenance(provenanceCandidates, scanSteps);
+  provenanceCandidates.forEach(({ identity, processed }) => {
+    processed.activation = provenance.get(identity) ?? null;
   });
 
   Object.values(byPosition).forEach((posGroup) => {
@@ -724,15 +915,272 @@ function processWorldInfoData(activatedEntries) {
   return groups;
 }
 
+function getEntryIdentity(entry) {
+  return `${entry?.world}.${entry?.uid}`;
+}
+
+function getWorldInfoBudgetTokens() {
+  const maxContext = Number(getMaxContextSize?.()) || 0;
+  let budget = Math.round(world_info_budget * maxContext / 100) || 1;
+  if (world_info_budget_cap > 0 && budget > world_info_budget_cap) {
+    budget = world_info_budget_cap;
+  }
+  return budget;
+}
+
+// Per-generation scan details collected from WORLDINFO_SCAN_DONE
+function createScanCapture(generationType) {
+  return {
+    generationType: generationType || 'normal',
+    budgetOverflowed: false,
+    truncatedEntries: [],
+    loopCount: 0,
+    scanSteps: new Map(),
+    inclusionGroups: new Map(),
+    delayedEntries: [],
+  };
+}
+
+function recordScanLoop(capture, args) {
+  if (!capture) return;
+
+  recordScanProvenance(capture, args);
+  recordInclusionGroups(capture, args);
+  indexTimedEffectEntries(capture, args);
+  if (!args?.budget?.overflowed) return;
+
+  capture.budgetOverflowed = true;
+
+  const all = Array.isArray(args?.new?.all) ? args.new.all : [];
+  const successful = new Set((Array.isArray(args?.new?.successful) ? args.new.successful : []).map(getEntryIdentity));
+  const known = new Set(capture.truncatedEntries.map(getEntryIdentity));
+
+  // Entries are inserted in order until the budget overflows; everything after the last success was cut
+  let lastSuccessIndex = -1;
+  all.forEach((entry, index) => {
+    if (successful.has(getEntryIdentity(entry))) lastSuccessIndex = index;
+  });
+
+  all.slice(lastSuccessIndex + 1).forEach((entry) => {
+    const identity = getEntryIdentity(entry);
+    if (successful.has(identity) || known.has(identity)) return;
+    known.add(identity);
+    capture.truncatedEntries.push(entry);
+  });
+}
+
+function buildViewerRecord(activatedEntries, capture) {
+  // Swipes are generated without the message being replaced, but it is still in the chat array
+  const scanEnd = (chat?.length ?? 0) - (capture?.generationType === 'swipe' ? 1 : 0);
+
+  return {
+    groups: processWorldInfoData(activatedEntries, {
+      scanEnd,
+      truncatedEntries: capture?.truncatedEntries ?? [],
+      scanSteps: capture?.scanSteps,
+    }),
+    budget: {
+      limit: getWorldInfoBudgetTokens(),
+      overflowed: Boolean(capture?.budgetOverflowed),
+    },
+    tokenTotal: null,
+    inclusionGroups: buildInclusionGroupReport(capture?.inclusionGroups, scanEnd),
+    timedEffects: capture ? collectTimedEffects(scanEnd, capture.delayedEntries) : null,
+    outletReferences: activatedEntries.some((entry) => entry?.position === 7) ? collectOutletReferences() : null,
+    authorsNote: getAuthorsNotePlacement(),
+    generationType: capture?.generationType || 'normal',
+    capturedAt: Date.now(),
+    historyLength: scanEnd,
+  };
+}
+
+// Records used to be stored as a bare array of position groups
+function normalizeViewerRecord(raw) {
+  if (Array.isArray(raw)) return { groups: raw, budget: null, tokenTotal: null };
+  if (raw && typeof raw === 'object' && Array.isArray(raw.groups)) return raw;
+  return null;
+}
+
+function getMessageSwipeId(messageId) {
+  return Number(chat?.[messageId]?.swipe_id ?? 0) || 0;
+}
+
+// Each swipe keeps its own record in swipe_info[].extra; messages without swipe info keep it in message.extra
+function getViewerRecord(messageId, swipeId = getMessageSwipeId(messageId)) {
+  const message = chat?.[messageId];
+  if (!message) return null;
+
+  const swipeRecord = normalizeViewerRecord(message.swipe_info?.[swipeId]?.extra?.worldInfoViewer);
+  if (swipeRecord) return swipeRecord;
+
+  // Messages without swipe info (and records saved before per-swipe storage) only have message.extra
+  const hasSwipeRecords = Array.isArray(message.swipe_info) && message.swipe_info.some((info) => info?.extra?.worldInfoViewer);
+  if (swipeId === getMessageSwipeId(messageId) && !hasSwipeRecords) {
+    return normalizeViewerRecord(message.extra?.worldInfoViewer);
+  }
+
+  return null;
+}
+
+// Stored once per swipe; message.extra only holds the record for messages without swipe info
+function setViewerRecord(messageId, record) {
+  const message = chat?.[messageId];
+  if (!message) return;
+
+  const swipeInfo = message.swipe_info?.[getMessageSwipeId(messageId)];
+  if (!record) {
+    [message, swipeInfo].forEach((target) => delete target?.extra?.worldInfoViewer);
+    return;
+  }
+
+  const target = swipeInfo ?? message;
+  if (!target.extra) target.extra = {};
+  target.extra.worldInfoViewer = record;
+
+  // Drops the copy older versions mirrored into message.extra
+  if (swipeInfo) delete message.extra?.worldInfoViewer;
+}
+
+// A continue extends the displayed message, so its activations are added to the ones that produced the text so far
+function mergeContinueRecord(original, continued) {
+  const groups = new Map(original.groups.map((group) => [group.position, { ...group, entries: [...group.entries] }]));
+  const known = new Set(original.groups.flatMap((group) => group.entries.map((entry) => `${entry.worldName}.${entry.uid}`)));
+
+  continued.groups.forEach((group) => {
+    const target = groups.get(group.position) ?? { ...group, entries: [] };
+    groups.set(group.position, target);
+    group.entries
+      .filter((entry) => !known.has(`${entry.worldName}.${entry.uid}`))
+      .forEach((entry) => target.entries.push(entry));
+  });
+
+  const merged = [...groups.values()].filter((group) => group.entries.length > 0);
+  merged.forEach((group) => group.entries.sort(group.position === 4 ? compareDepthEntries : compareOrderEntries));
+  merged.sort((a, b) => getPositionSortIndex(a.position) - getPositionSortIndex(b.position));
+
+  const inclusionNames = new Set((original.inclusionGroups ?? []).map((group) => group.name));
+
+  return {
+    ...original,
+    groups: merged,
+    budget: {
+      limit: continued.budget?.limit ?? original.budget?.limit,
+      overflowed: Boolean(original.budget?.overflowed || continued.budget?.overflowed),
+    },
+    // Recounted the next time the record is shown
+    tokenTotal: null,
+    inclusionGroups: [
+      ...(original.inclusionGroups ?? []),
+      ...(continued.inclusionGroups ?? []).filter((group) => !inclusionNames.has(group.name)),
+    ],
+    timedEffects: continued.timedEffects ?? original.timedEffects,
+    outletReferences: original.outletReferences || continued.outletReferences
+      ? { ...continued.outletReferences, ...original.outletReferences }
+      : null,
+  };
+}
+
+function listStoredViewerRecords(message) {
+  const raw = [message?.extra?.worldInfoViewer, ...(Array.isArray(message?.swipe_info) ? message.swipe_info.map((info) => info?.extra?.worldInfoViewer) : [])];
+  return raw.map(normalizeViewerRecord).filter(Boolean);
+}
+
+// Records of generations where nothing fired only mark that fact and do not count towards the cache limit
+function messageHasTriggeredEntries(message) {
+  return listStoredViewerRecords(message).some((record) => record.groups.length > 0);
+}
+
+function messageHasViewerRecords(message) {
+  if (message?.extra?.worldInfoViewer) return true;
+  return Array.isArray(message?.swipe_info) && message.swipe_info.some((info) => info?.extra?.worldInfoViewer);
+}
+
+function deleteMessageViewerRecords(message) {
+  if (message?.extra?.worldInfoViewer) {
+    delete message.extra.worldInfoViewer;
+  }
+
+  if (Array.isArray(message?.swipe_info)) {
+    message.swipe_info.forEach((info) => {
+      if (info?.extra?.worldInfoViewer) {
+        delete info.extra.worldInfoViewer;
+      }
+    });
+  }
+}
+
+function getRecordedSwipeIds(messageId) {
+  const message = chat?.[messageId];
+  const swipeCount = Array.isArray(message?.swipes) ? message.swipes.length : 1;
+  const ids = [];
+
+  for (let swipeId = 0; swipeId < swipeCount; swipeId++) {
+    if (getViewerRecord(messageId, swipeId)) ids.push(swipeId);
+  }
+
+  return ids;
+}
+
+async function annotateTokenCounts(record) {
+  if (!record) return record;
+
+  for (const group of record.groups) {
+    for (const entry of group.entries) {
+      if (typeof entry.tokenCount !== 'number') {
+        entry.tokenCount = await getTokenCountAsync(substituteParams(String(entry.content ?? '')));
+      }
+    }
+  }
+
+  let total = 0;
+  record.groups.forEach((group) => {
+    group.tokenCount = group.entries
+      .filter((entry) => !entry.budgetTruncated)
+      .reduce((sum, entry) => sum + (entry.tokenCount || 0), 0);
+    total += group.tokenCount;
+  });
+  record.tokenTotal = total;
+
+  return record;
+}
+
+function buildViewerStats(record) {
+  const limit = record.budget?.limit || getWorldInfoBudgetTokens();
+  const total = record.tokenTotal ?? 0;
+  const percent = limit > 0 ? Math.round((total / limit) * 100) : 0;
+  const truncatedCount = record.groups.reduce((count, group) => count + group.entries.filter((entry) => entry.budgetTruncated).length, 0);
+
+  return {
+    tokenTotal: total,
+    budgetLimit: limit,
+    budgetPercent: percent,
+    barPercent: Math.min(100, percent),
+    overBudget: Boolean(record.budget?.overflowed) || percent >= 100,
+    truncatedCount,
+    truncatedText: i18n('budgetTruncatedCount', truncatedCount),
+  };
+}
+
+// Records saved before entries carried a statusKey only have the status emoji
+const STATUS_KEY_BY_EMOJI = {
+  '🔵': 'constant',
+  '🔗': 'vectorized',
+  '🟢': 'keyword',
+};
+
+function getStoredStatusKey(entry) {
+  return entry.statusKey ?? STATUS_KEY_BY_EMOJI[entry.statusEmoji] ?? '';
+}
+
 // Re-translate stored world info data to current locale
 function retranslateWorldInfoData(worldInfoData) {
   const positionInfo = getPositionInfo();
   const selectiveLogicInfo = getSelectiveLogicInfo();
-  const statusEmojiMap = {
-    '🔵': () => i18n('statusConstant'),
-    '🔗': () => i18n('statusVectorized'),
-    '🟢': () => i18n('statusKeyword'),
-  };
+
+  const nameByIdentity = new Map();
+  worldInfoData.forEach((group) => group.entries.forEach((entry) => {
+    nameByIdentity.set(`${entry.worldName}.${entry.uid}`, `${entry.worldName} | ${entry.entryName || `${i18n('entryLabel')} #${entry.uid}`}`);
+  }));
 
   return worldInfoData.map(group => {
     const posInfo = positionInfo[group.position] || { name: `${i18n('positionUnknown')} (${group.position})`, emoji: '❓' };
@@ -741,7 +1189,7 @@ function retranslateWorldInfoData(worldInfoData) {
       positionName: posInfo.name,
       positionEmoji: posInfo.emoji,
       entries: group.entries.map(entry => {
-        const statusTranslator = statusEmojiMap[entry.statusEmoji];
+        const statusKey = getStoredStatusKey(entry);
         let selectiveLogicName = entry.selectiveLogicName;
         if (entry.secondaryKeys && entry.selectiveLogic != null) {
           selectiveLogicName = selectiveLogicInfo[entry.selectiveLogic]
@@ -749,9 +1197,11 @@ function retranslateWorldInfoData(worldInfoData) {
         }
         return {
           ...entry,
+          statusKey,
+          activationText: describeActivationCause(entry.activation, nameByIdentity),
           entryName: entry.entryName || `${i18n('entryLabel')} #${entry.uid}`,
           sourceName: entry.sourceKey ? getSourceDisplayName(entry.sourceKey) : (entry.sourceName || ''),
-          statusName: statusTranslator ? statusTranslator() : (entry.statusName || ''),
+          statusName: STATUS_NAME_KEYS[statusKey] ? i18n(STATUS_NAME_KEYS[statusKey]) : (entry.statusName || ''),
           roleDepthTag: (group.position === 4 && entry.depth != null) ? formatRoleDepthTag(entry) : entry.roleDepthTag,
           selectiveLogicName,
         };
@@ -766,14 +1216,15 @@ function retranslateWorldInfoData(worldInfoData) {
 
 function addViewButtonToMessage(messageId) {
   if (!extension_settings.worldInfoSuite?.enableTriggeredViewer) return;
-  if (!chat?.[messageId]?.extra?.worldInfoViewer) return;
+  if (!getViewerRecord(messageId) && !hasArchivedRecord(messageId)) return;
 
   const messageElement = document.querySelector(`.mes[mesid="${messageId}"]`);
-  if (!messageElement || messageElement.getAttribute('is_user') === 'true') return;
+  if (!messageElement) return;
 
-  // Insert into extraMesButtons instead of mes_buttons to be part of the collapsible menu
-  const extraButtonsContainer = messageElement.querySelector('.extraMesButtons');
-  if (!extraButtonsContainer) return;
+  // By default the button lives in extraMesButtons to be part of the collapsible menu
+  const placement = extension_settings.worldInfoSuite?.viewerButtonPlacement || 'extra';
+  const buttonsContainer = messageElement.querySelector(placement === 'main' ? '.mes_buttons' : '.extraMesButtons');
+  if (!buttonsContainer) return;
 
   const buttonId = `worldinfo-viewer-btn-${messageId}`;
   if (document.getElementById(buttonId)) return;
@@ -788,1079 +1239,4872 @@ function addViewButtonToMessage(messageId) {
     showWorldInfoPopup(messageId);
   });
 
-  // Insert at the beginning of extraMesButtons
-  extraButtonsContainer.prepend(button);
+  const record = getViewerRecord(messageId);
+  if (record && extension_settings.worldInfoSuite?.viewerButtonBadge) {
+    applyViewButtonBadge(button, record);
+  }
+
+  buttonsContainer.prepend(button);
 }
 
-async function showWorldInfoPopup(messageId) {
-  const worldInfoData = chat?.[messageId]?.extra?.worldInfoViewer;
-  if (!worldInfoData) {
-    toastr.info(i18n('noWorldInfoData'));
-    return;
-  }
+function summarizeRecordForBadge(record) {
+  const entries = record.groups.flatMap((group) => group.entries).filter((entry) => !entry.budgetTruncated);
+  return {
+    count: entries.length,
+    constantOnly: entries.length > 0 && entries.every((entry) => getStoredStatusKey(entry) === 'constant'),
+  };
+}
 
-  // Re-translate stored data to current locale before display
-  const translatedData = retranslateWorldInfoData(worldInfoData);
+function applyViewButtonBadge(button, record) {
+  const { count, constantOnly } = summarizeRecordForBadge(record);
 
-  try {
-    const popupContent = await renderExtensionTemplateAsync(extensionName, 'popup', {
-      positions: translatedData,
-      i18n: localeData,
-    });
-    callGenericPopup(popupContent, POPUP_TYPE.TEXT, '', {
-      wide: true,
-      large: true,
-      okButton: i18n('popupClose'),
-      allowVerticalScrolling: true,
-    });
-  } catch (error) {
-    console.error(`[${extensionName}] Error rendering popup:`, error);
-    toastr.error(i18n('popupRenderError'));
+  const badge = document.createElement('span');
+  badge.classList.add('wis-viewer-badge');
+  badge.textContent = String(count);
+
+  button.classList.toggle('wis-viewer-btn-empty', count === 0);
+  button.classList.toggle('wis-viewer-btn-constant', constantOnly);
+  if (count === 0) {
+    button.title = `${i18n('viewerBtnTitle')} (${i18n('viewerBadgeEmpty')})`;
+  } else {
+    button.title = `${i18n('viewerBtnTitle')} (${i18n(constantOnly ? 'viewerBadgeConstant' : 'viewerBadgeCount', count)})`;
   }
+  button.append(badge);
 }
 
-// State sync for triggered viewer
-let lastActivatedWorldInfo = null;
+function refreshAllViewButtons() {
+  document.querySelectorAll('.worldinfo-viewer-btn').forEach((button) => button.remove());
+  document.querySelectorAll('#chat .mes').forEach((messageElement) => {
+    const mesId = messageElement.getAttribute('mesid');
+    if (mesId) addViewButtonToMessage(mesId);
+  });
+}
 
-// Clean up old World Info viewer data to limit cache size
-function cleanupViewerCache() {
-  if (!chat || !Array.isArray(chat)) return;
-  
-  const limit = extension_settings.worldInfoSuite?.viewerCacheLimit ?? 10;
-  if (limit <= 0) return; // 0 means unlimited
-  
-  // Find all messages with viewer data
-  const messagesWithData = [];
-  for (let i = 0; i < chat.length; i++) {
-    if (chat[i]?.extra?.worldInfoViewer) {
-      messagesWithData.push(i);
-    }
-  }
-  
-  // Remove data from older messages beyond the limit
-  if (messagesWithData.length > limit) {
-    const toRemove = messagesWithData.slice(0, messagesWithData.length - limit);
-    for (const idx of toRemove) {
-      if (chat[idx]?.extra?.worldInfoViewer) {
-        delete chat[idx].extra.worldInfoViewer;
-      }
-    }
-  }
+// Swipes change the displayed record, so the button is rebuilt for the current swipe
+function refreshViewButton(messageId) {
+  document.getElementById(`worldinfo-viewer-btn-${messageId}`)?.remove();
+  addViewButtonToMessage(String(messageId));
 }
 
-// Clear all World Info viewer cache from current chat
-function clearAllViewerCache() {
-  if (!chat || !Array.isArray(chat)) return 0;
-  
-  let count = 0;
-  for (let i = 0; i < chat.length; i++) {
-    if (chat[i]?.extra?.worldInfoViewer) {
-      delete chat[i].extra.worldInfoViewer;
-      count++;
-    }
-  }
-  
-  // Remove viewer buttons from UI
-  document.querySelectorAll('.worldinfo-viewer-btn').forEach(btn => btn.remove());
-  
-  return count;
+function buildSwipeNavigation(messageId, swipeId) {
+  const swipeCount = Array.isArray(chat?.[messageId]?.swipes) ? chat[messageId].swipes.length : 0;
+  if (swipeCount <= 1) return null;
+
+  const recorded = getRecordedSwipeIds(messageId);
+  const index = recorded.indexOf(swipeId);
+
+  return {
+    current: swipeId + 1,
+    total: swipeCount,
+    prevId: index > 0 ? recorded[index - 1] : null,
+    nextId: index >= 0 && index < recorded.length - 1 ? recorded[index + 1] : null,
+    isDisplayed: swipeId === getMessageSwipeId(messageId),
+  };
 }
 
-function initTriggeredViewer() {
-  eventSource.on(event_types.WORLD_INFO_ACTIVATED, (data) => {
-    if (!extension_settings.worldInfoSuite?.enableTriggeredViewer) return;
-    if (data && Array.isArray(data) && data.length > 0) {
-      lastActivatedWorldInfo = processWorldInfoData(data);
-    } else {
-      lastActivatedWorldInfo = null;
-    }
-  });
+const GENERATION_TYPE_KEYS = {
+  normal: 'genTypeNormal',
+  swipe: 'genTypeSwipe',
+  regenerate: 'genTypeRegenerate',
+  continue: 'genTypeContinue',
+  impersonate: 'genTypeImpersonate',
+  quiet: 'genTypeQuiet',
+};
 
-  eventSource.on(event_types.MESSAGE_RECEIVED, (messageId) => {
-    if (!extension_settings.worldInfoSuite?.enableTriggeredViewer) return;
-    if (lastActivatedWorldInfo && chat?.[messageId] && !chat[messageId].is_user) {
-      if (!chat[messageId].extra) chat[messageId].extra = {};
-      chat[messageId].extra.worldInfoViewer = lastActivatedWorldInfo;
-      lastActivatedWorldInfo = null;
-      
-      // Clean up old cache after adding new data
-      cleanupViewerCache();
-    }
+function getGenerationTypeLabel(type) {
+  const key = GENERATION_TYPE_KEYS[type];
+  return key ? i18n(key) : String(type || i18n(GENERATION_TYPE_KEYS.normal));
+}
+
+// source is either { messageId, swipeId } for a stored record or { record, label } for a session log or report item.
+// Archived records also pass their messageId, since they still belong to a message of the open chat.
+// Imported reports pass readOnly, since their books and uids may not be the local ones
+async function renderViewerPopupContent(container, source) {
+  const isDetached = Boolean(source.record);
+  const record = isDetached ? source.record : getViewerRecord(source.messageId, source.swipeId);
+  if (!record) return false;
+
+  // The prompt map is rebuilt from the open chat, which only makes sense for records of its own messages
+  const chatMessageId = source.messageId ?? null;
+
+  // Older records were stored before token accounting existed
+  if (record.tokenTotal == null) {
+    await annotateTokenCounts(record);
+  }
+
+  // Re-translate stored data to current locale before display
+  const translatedData = retranslateWorldInfoData(record.groups);
+
+  container.innerHTML = await renderExtensionTemplateAsync(extensionName, 'popup', {
+    positions: translatedData,
+    filters: buildViewerFilterOptions(translatedData),
+    compact: Boolean(extension_settings.worldInfoSuite?.viewerCompactMode),
+    stats: buildViewerStats(record),
+    outlets: buildOutletReport(translatedData, record.outletReferences),
+    inclusionGroups: translateInclusionGroups(record.inclusionGroups),
+    swipe: isDetached ? null : buildSwipeNavigation(source.messageId, source.swipeId),
+    generationType: record.generationType ? getGenerationTypeLabel(record.generationType) : '',
+    detachedLabel: isDetached ? (source.label ?? '') : '',
+    readOnly: Boolean(source.readOnly),
+    promptMap: chatMessageId != null,
+    i18n: localeData,
   });
 
-  eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, (messageId) => {
-    addViewButtonToMessage(String(messageId));
+  bindViewerPopupActions(container, {
+    messageId: isDetached ? null : source.messageId,
+    swipeId: isDetached ? null : source.swipeId,
+    record: isDetached ? record : null,
+    showSwipe: (targetSwipeId) => renderViewerPopupContent(container, { messageId: source.messageId, swipeId: targetSwipeId }),
   });
+  bindViewerFilterBar(container);
+  bindViewerTabs(container, { record, messageId: chatMessageId });
 
-  eventSource.on(event_types.CHAT_CHANGED, () => {
-    setTimeout(() => {
-      document.querySelectorAll('#chat .mes').forEach((messageElement) => {
-        const mesId = messageElement.getAttribute('mesid');
-        if (mesId) addViewButtonToMessage(mesId);
-      });
-    }, 500);
+  return true;
+}
+
+function buildViewerFilterOptions(groups) {
+  const sources = new Map();
+  const statuses = new Map();
+  const worlds = new Set();
+
+  groups.forEach((group) => {
+    group.entries.forEach((entry) => {
+      if (entry.sourceKey) sources.set(entry.sourceKey, entry.sourceName);
+      if (entry.statusKey) statuses.set(entry.statusKey, entry.statusName);
+      if (entry.worldName) worlds.add(entry.worldName);
+    });
   });
+
+  return {
+    sources: Object.values(WI_SOURCE_KEYS)
+      .filter((key) => sources.has(key))
+      .map((key) => ({ value: key, label: sources.get(key) })),
+    statuses: Array.from(statuses, ([value, label]) => ({ value, label })),
+    worlds: Array.from(worlds).sort().map((worldName) => ({ value: worldName, label: worldName })),
+    positions: groups.map((group) => ({ value: String(group.position), label: `${group.positionEmoji} ${group.positionName}` })),
+  };
 }
 
-// ============================================================
-// FEATURE 2: Character Lorebook Quick Access
-// ============================================================
+function applyViewerFilters(container) {
+  const searchTerm = container.querySelector('.wi-filter-search')?.value.trim().toLowerCase() ?? '';
+  const selected = {};
+  container.querySelectorAll('[data-wi-filter]').forEach((select) => {
+    selected[select.getAttribute('data-wi-filter')] = select.value;
+  });
 
-function isMobileDevice() {
-  return window.innerWidth <= 768;
+  let shownCount = 0;
+  let totalCount = 0;
+
+  container.querySelectorAll('.wi-position-group').forEach((group) => {
+    const positionMatches = !selected.position || group.getAttribute('data-wi-position') === selected.position;
+    let groupShown = 0;
+
+    group.querySelectorAll('.wi-entry').forEach((entryElement) => {
+      totalCount++;
+      const searchText = [...entryElement.querySelectorAll('.wi-entry-name, .wi-world, .wi-details pre, .wi-entry-content pre')]
+        .map((element) => element.textContent)
+        .join('\n')
+        .toLowerCase();
+      const visible = positionMatches
+        && (!selected.source || entryElement.getAttribute('data-wi-source') === selected.source)
+        && (!selected.status || entryElement.getAttribute('data-wi-status') === selected.status)
+        && (!selected.world || entryElement.getAttribute('data-wi-world') === selected.world)
+        && (!searchTerm || searchText.includes(searchTerm));
+
+      entryElement.style.display = visible ? '' : 'none';
+      if (visible) groupShown++;
+    });
+
+    group.style.display = groupShown > 0 ? '' : 'none';
+    shownCount += groupShown;
+  });
+
+  const counter = container.querySelector('.wi-filter-count');
+  if (counter) counter.textContent = i18n('filterShownCount', shownCount, totalCount);
 }
 
-function shouldShowGlobalLorebooks() {
-  const settings = extension_settings.worldInfoSuite;
-  if (isMobileDevice()) {
-    return settings?.showGlobalLorebookMobile ?? true;
-  }
-  return settings?.showGlobalLorebookDesktop ?? true;
+function setViewerEntriesExpanded(container, expanded) {
+  container.querySelectorAll('.wi-entry').forEach((entryElement) => entryElement.classList.toggle('wi-entry-expanded', expanded));
+  container.querySelectorAll('details.wi-details').forEach((details) => {
+    details.open = expanded;
+  });
 }
 
-function getCharacterWorldBooks(chid) {
-  const books = [];
-  const character = characters?.[chid];
+function bindViewerFilterBar(container) {
+  const popupRoot = container.querySelector('.worldinfo-viewer-popup');
+  if (!popupRoot) return;
 
-  if (!character) return books;
+  container.querySelector('.wi-filter-search')?.addEventListener('input', () => applyViewerFilters(container));
+  container.querySelectorAll('[data-wi-filter]').forEach((select) => {
+    select.addEventListener('change', () => applyViewerFilters(container));
+  });
 
-  // Primary Lorebook
-  const primaryWorld = character?.data?.extensions?.world;
-  if (primaryWorld && world_names?.includes(primaryWorld)) {
-    books.push({ name: primaryWorld, type: 'primary' });
-  }
+  container.querySelector('.wi-compact-toggle')?.addEventListener('change', (event) => {
+    const compact = event.target.checked;
+    extension_settings.worldInfoSuite.viewerCompactMode = compact;
+    saveSettingsDebounced();
+    popupRoot.classList.toggle('wi-compact', compact);
+  });
 
-  // Additional Lorebooks
-  const fileName = getCharaFilename?.(chid);
-  const extraCharLore = world_info?.charLore?.find?.((e) => e.name === fileName);
-  if (extraCharLore && Array.isArray(extraCharLore.extraBooks)) {
-    extraCharLore.extraBooks.forEach((bookName) => {
-      if (bookName && world_names?.includes(bookName)) {
-        books.push({ name: bookName, type: 'additional' });
-      }
+  // In compact mode the header doubles as the expand toggle
+  container.querySelectorAll('.wi-entry-header').forEach((header) => {
+    header.addEventListener('click', (event) => {
+      if (!popupRoot.classList.contains('wi-compact') || event.target.closest('[data-wi-action]')) return;
+      header.closest('.wi-entry')?.classList.toggle('wi-entry-expanded');
+    });
+  });
+
+  applyViewerFilters(container);
+}
+
+async function openViewerPopup(source) {
+  try {
+    const dom = document.createElement('div');
+    await renderViewerPopupContent(dom, source);
+
+    callGenericPopup(dom, POPUP_TYPE.TEXT, '', {
+      wide: true,
+      large: true,
+      okButton: i18n('popupClose'),
+      allowVerticalScrolling: true,
     });
+  } catch (error) {
+    console.error(`[${extensionName}] Error rendering popup:`, error);
+    toastr.error(i18n('popupRenderError'));
   }
+}
 
-  // Chat Lorebook
-  const chatLoreName = chat_metadata?.[METADATA_KEY];
-  if (chatLoreName && world_names?.includes(chatLoreName)) {
-    books.push({ name: chatLoreName, type: 'chat' });
+async function showWorldInfoPopup(messageId, swipeId = getMessageSwipeId(messageId)) {
+  if (!getViewerRecord(messageId, swipeId)) {
+    const archived = hasArchivedRecord(messageId, swipeId) ? await loadArchivedRecord(messageId, swipeId).catch((error) => {
+      console.warn(`[${extensionName}] Failed to read archived record:`, error);
+      return null;
+    }) : null;
+
+    if (archived) {
+      await openViewerPopup({ record: archived, label: i18n('archiveLabel'), messageId });
+    } else {
+      toastr.info(i18n('noWorldInfoData'));
+    }
+    return;
   }
 
-  // Global Lorebooks (always at the end)
-  if (shouldShowGlobalLorebooks() && Array.isArray(selected_world_info)) {
-    selected_world_info.forEach((worldName) => {
-      if (worldName && world_names?.includes(worldName)) {
-        books.push({ name: worldName, type: 'global' });
+  await openViewerPopup({ messageId, swipeId });
+}
+
+function bindViewerPopupActions(dom, { messageId, swipeId, record, showSwipe }) {
+  dom.querySelectorAll('[data-wi-action]').forEach((actionElement) => {
+    actionElement.addEventListener('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+
+      switch (actionElement.getAttribute('data-wi-action')) {
+        case 'diagnose':
+          showEntryDiagnosticsDialog(messageId == null ? {} : { messageId: Number(messageId) });
+          break;
+        case 'compare':
+          showViewerCompareDialog(messageId, swipeId);
+          break;
+        case 'session-log':
+          showSessionLogDialog();
+          break;
+        case 'timeline':
+          showActivationTimelineDialog();
+          break;
+        case 'export':
+          showReportExportDialog(record ? { record } : { messageId, swipeId });
+          break;
+        case 'open-entry':
+          // The viewer is modal, close it so the editor is usable
+          dom.closest('.popup')?.querySelector('.popup-button-ok')?.click();
+          openEntryInEditor(actionElement.getAttribute('data-wi-world'), actionElement.getAttribute('data-wi-uid'), actionElement.getAttribute('data-wi-name'));
+          break;
+        case 'toggle-disable':
+        case 'toggle-constant': {
+          const action = actionElement.getAttribute('data-wi-action');
+          toggleEntryField(
+            actionElement.getAttribute('data-wi-world'),
+            actionElement.getAttribute('data-wi-uid'),
+            ENTRY_TOGGLE_FIELDS[action],
+            actionElement.getAttribute('data-wi-name'),
+          )
+            .then((value) => {
+              if (value == null) return;
+              actionElement.classList.toggle('active', value);
+              const messageKey = action === 'toggle-disable'
+                ? (value ? 'entryToggledDisabled' : 'entryToggledEnabled')
+                : (value ? 'entryToggledConstant' : 'entryToggledNotConstant');
+              toastr.success(i18n(messageKey));
+            })
+            .catch((error) => {
+              console.error(`[${extensionName}] Failed to update entry:`, error);
+              toastr.error(i18n('entryToggleFailed'));
+            });
+          break;
+        }
+        case 'expand-all':
+          setViewerEntriesExpanded(dom, true);
+          break;
+        case 'collapse-all':
+          setViewerEntriesExpanded(dom, false);
+          break;
+        case 'swipe': {
+          const targetSwipeId = actionElement.getAttribute('data-wi-swipe');
+          if (targetSwipeId !== null && targetSwipeId !== '') {
+            showSwipe(Number(targetSwipeId));
+          }
+          break;
+        }
       }
     });
+  });
+
+  syncEntryToggleStates(dom).catch((error) => {
+    console.warn(`[${extensionName}] Failed to read entry states:`, error);
+  });
+}
+
+// ===== Entry Editor Shortcuts =====
+const ENTRY_TOGGLE_FIELDS = {
+  'toggle-disable': 'disable',
+  'toggle-constant': 'constant',
+};
+const ENTRY_LOOKUP_TIMEOUT_MS = 3000;
+const ENTRY_PAGE_LIMIT = 200;
+
+async function waitForEntryForm(uid, timeout = ENTRY_LOOKUP_TIMEOUT_MS) {
+  const selector = `#world_popup_entries_list .world_entry[uid="${uid}"]`;
+  const deadline = Date.now() + timeout;
+  let element = document.querySelector(selector);
+  while (!element && Date.now() < deadline) {
+    await delay(100);
+    element = document.querySelector(selector);
   }
+  return element;
+}
 
-  return books;
+// The record stores the entry name as displayed, and unnamed entries show a localized label ending in their uid
+function entryMatchesRecordedName(entry, expectedName) {
+  if (!expectedName) return true;
+  if (entry.comment) return entry.comment === expectedName;
+  return expectedName.endsWith(` #${entry.uid}`);
 }
 
-function createCharacterWorldBooksHTML(books) {
-  if (books.length === 0) {
-    return `
-      <div id="char-worldbooks-panel" class="char-worldbooks-panel">
-        <div class="char-worldbooks-header">
-          <span class="fa-solid fa-globe"></span>
-          <span data-i18n="charWorldbooksPanel">${i18n('charWorldbooksPanel')}</span>
-        </div>
-        <div class="char-worldbooks-empty" data-i18n="charWorldbooksEmpty">
-          ${i18n('charWorldbooksEmpty')}
-        </div>
-      </div>
-    `;
+async function openEntryInEditor(worldName, uid, expectedName = null) {
+  if (!worldName || uid == null || !world_names?.includes(worldName)) {
+    toastr.warning(i18n('openEntryWorldMissing', worldName));
+    return;
   }
 
-  const bookItems = books.map((book) => {
-    let typeLabel, typeClass;
-    if (book.type === 'primary') {
-      typeLabel = i18n('charWorldbookTypePrimary');
-      typeClass = 'primary';
-    } else if (book.type === 'chat') {
-      typeLabel = i18n('charWorldbookTypeChat');
-      typeClass = 'chat';
-    } else if (book.type === 'global') {
-      typeLabel = i18n('charWorldbookTypeGlobal');
-      typeClass = 'global';
-    } else {
-      typeLabel = i18n('charWorldbookTypeAdditional');
-      typeClass = 'additional';
+  if (expectedName) {
+    const entry = (await loadWorldInfo(worldName))?.entries?.[uid];
+    if (entry && !entryMatchesRecordedName(entry, expectedName)) {
+      toastr.warning(i18n('entryNameMismatch', expectedName, entry.comment || uid));
+      return;
     }
-    return `
-      <div class="char-worldbook-item" data-world-name="${book.name}">
-        <span class="char-worldbook-type ${typeClass}">${typeLabel}</span>
-        <span class="char-worldbook-name">${book.name}</span>
-        <span class="char-worldbook-goto fa-solid fa-arrow-up-right-from-square" title="${i18n('charWorldbookGotoTitle')}"></span>
-      </div>
-    `;
-  }).join('');
+  }
 
-  return `
-    <div id="char-worldbooks-panel" class="char-worldbooks-panel">
-      <div class="char-worldbooks-header">
-        <span class="fa-solid fa-globe"></span>
-        <span data-i18n="charWorldbooksPanel">${i18n('charWorldbooksPanel')}</span>
-      </div>
-      <div class="char-worldbooks-list">
-        ${bookItems}
-      </div>
-    </div>
-  `;
+  openWorldInfoEditor(worldName);
+
+  let entryElement = await waitForEntryForm(uid);
+
+  // The editor is paginated, so walk from the first page until the entry is rendered
+  if (!entryElement) {
+    document.querySelector('#world_info_pagination .J-paginationjs-page[data-num="1"]:not(.active)')?.click();
+    entryElement = await waitForEntryForm(uid, 500);
+  }
+  for (let page = 0; !entryElement && page < ENTRY_PAGE_LIMIT; page++) {
+    const nextButton = document.querySelector('#world_info_pagination .J-paginationjs-next:not(.disabled)');
+    if (!nextButton) break;
+    nextButton.click();
+    entryElement = await waitForEntryForm(uid, 500);
+  }
+
+  if (!entryElement) {
+    toastr.warning(i18n('openEntryNotFound'));
+    return;
+  }
+
+  const drawerContent = entryElement.querySelector('.inline-drawer-content');
+  if (drawerContent && getComputedStyle(drawerContent).display === 'none') {
+    entryElement.querySelector('.inline-drawer-toggle')?.click();
+  }
+
+  entryElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  entryElement.classList.add('wis-entry-highlight');
+  setTimeout(() => entryElement.classList.remove('wis-entry-highlight'), 2500);
 }
 
-function updateCharacterWorldBooksPanel(chid) {
-  if (!extension_settings.worldInfoSuite?.enableCharLorebook) return;
+async function toggleEntryField(worldName, uid, field, expectedName = null) {
+  const data = await loadWorldInfo(worldName);
+  const entry = data?.entries?.[uid];
+  if (!entry) {
+    toastr.warning(i18n('openEntryNotFound'));
+    return null;
+  }
 
-  $('#char-worldbooks-panel').remove();
+  // A different entry may have taken over the uid since the record was made
+  if (!entryMatchesRecordedName(entry, expectedName)) {
+    toastr.warning(i18n('entryNameMismatch', expectedName, entry.comment || uid));
+    return null;
+  }
 
-  const books = getCharacterWorldBooks(chid);
-  const panelHTML = createCharacterWorldBooksHTML(books);
+  entry[field] = !entry[field];
+  await saveWorldInfo(worldName, data, true);
 
-  const dropdownLabel = $('#char-management-dropdown').closest('label');
-  if (dropdownLabel.length) {
-    dropdownLabel.after(panelHTML);
-  } else {
-    $('#avatar_controls').append(panelHTML);
+  // Re-render the editor if it is showing the book that was just changed
+  if (getCurrentWorldEditorSelectionName() === worldName) {
+    document.querySelector('#world_editor_select')?.dispatchEvent(new Event('change', { bubbles: true }));
   }
 
-  $('.char-worldbook-item').on('click', function () {
-    const worldName = $(this).data('world-name');
-    if (worldName && typeof openWorldInfoEditor === 'function') {
-      openWorldInfoEditor(worldName);
-    }
-  });
+  return entry[field];
 }
 
-function hideCharacterWorldBooksPanel() {
-  $('#char-worldbooks-panel').remove();
+// The record is a snapshot, so toggle buttons reflect the book as it is now
+async function syncEntryToggleStates(dom) {
+  const buttons = [...dom.querySelectorAll('[data-wi-action^="toggle-"]')];
+  const worldNames = new Set(buttons.map((button) => button.getAttribute('data-wi-world')));
+
+  for (const worldName of worldNames) {
+    if (!world_names?.includes(worldName)) continue;
+    const data = await loadWorldInfo(worldName);
+    buttons
+      .filter((button) => button.getAttribute('data-wi-world') === worldName)
+      .forEach((button) => {
+        const entry = data?.entries?.[button.getAttribute('data-wi-uid')];
+        const field = ENTRY_TOGGLE_FIELDS[button.getAttribute('data-wi-action')];
+        const matches = entry && entryMatchesRecordedName(entry, button.getAttribute('data-wi-name'));
+        button.classList.toggle('active', Boolean(matches && entry[field]));
+      });
+  }
 }
 
-function initCharLorebookQuickAccess() {
-  // Store the currently opened chid for use in other event handlers
-  let currentEditorChid = null;
+// ===== Activation Provenance =====
+// Mirrors scan_state in world-info.js, which is not exported
+const SCAN_STATE_RECURSION = 2;
+
+function recordScanProvenance(capture, args) {
+  capture.loopCount += 1;
+  const successful = Array.isArray(args?.new?.successful) ? args.new.successful : [];
+  successful.forEach((entry) => {
+    const identity = getEntryIdentity(entry);
+    if (capture.scanSteps.has(identity)) return;
+    capture.scanSteps.set(identity, {
+      step: capture.loopCount,
+      recursion: args?.state?.current === SCAN_STATE_RECURSION,
+    });
+  });
+}
 
-  eventSource.on(event_types.CHARACTER_EDITOR_OPENED, (chid) => {
-    currentEditorChid = chid;
-    if (extension_settings.worldInfoSuite?.enableCharLorebook) {
-      updateCharacterWorldBooksPanel(chid);
+// The latest entry activated before this one whose content holds one of its keys is taken as the cause
+function findRecursionParent(entry, identity, candidates, scanSteps, step) {
+  const keys = (Array.isArray(entry.key) ? entry.key : [])
+    .map((rawKey) => substituteParams(String(rawKey ?? '')).trim())
+    .filter(Boolean);
+
+  let best = null;
+  candidates.forEach((candidate) => {
+    if (candidate.identity === identity || candidate.raw.preventRecursion === true) return;
+
+    const candidateStep = scanSteps.get(candidate.identity)?.step ?? null;
+    if (step != null && candidateStep != null && candidateStep >= step) return;
+
+    const key = keys.find((needle) => findKeyInText(candidate.raw.content, needle, entry));
+    if (!key) return;
+
+    if (!best || (candidateStep ?? 0) > (best.step ?? 0)) {
+      best = { identity: candidate.identity, key, step: candidateStep };
     }
   });
+  return best;
+}
 
-  eventSource.on(event_types.CHARACTER_EDITED, (data) => {
-    const chid = data?.detail?.id;
-    if (chid !== undefined && $('#char-worldbooks-panel').length) {
-      currentEditorChid = chid;
-      if (extension_settings.worldInfoSuite?.enableCharLorebook) {
-        updateCharacterWorldBooksPanel(chid);
-      }
+// Without scan loop data (older SillyTavern) recursion is inferred from keys that only match other entries' content
+function resolveActivationProvenance(candidates, scanSteps = new Map()) {
+  const result = new Map();
+
+  candidates.forEach(({ identity, raw, matchedKeys }) => {
+    const stepInfo = scanSteps.get(identity);
+    const base = { step: stepInfo?.step ?? null, cause: 'other', key: null, messageIndex: null, parent: null };
+
+    if (raw.constant === true) {
+      result.set(identity, { ...base, cause: 'constant' });
+      return;
     }
-  });
 
-  // Listen for World Info settings updates (when lorebooks are bound/unbound)
-  eventSource.on(event_types.WORLDINFO_SETTINGS_UPDATED, () => {
-    if (currentEditorChid !== null && $('#char-worldbooks-panel').length) {
-      if (extension_settings.worldInfoSuite?.enableCharLorebook) {
-        updateCharacterWorldBooksPanel(currentEditorChid);
+    const maybeRecursive = stepInfo ? (stepInfo.recursion || stepInfo.step > 1) : matchedKeys.length === 0;
+    if (maybeRecursive && raw.excludeRecursion !== true) {
+      const parent = findRecursionParent(raw, identity, candidates, scanSteps, stepInfo?.step ?? null);
+      if (parent) {
+        result.set(identity, { ...base, cause: 'entry', key: parent.key, parent: parent.identity });
+        return;
       }
     }
-  });
 
-  // Listen for chat changed event to update chat lorebook
-  eventSource.on(event_types.CHAT_CHANGED, () => {
-    if (currentEditorChid !== null && $('#char-worldbooks-panel').length) {
-      if (extension_settings.worldInfoSuite?.enableCharLorebook) {
-        updateCharacterWorldBooksPanel(currentEditorChid);
-      }
+    if (matchedKeys.length > 0) {
+      result.set(identity, { ...base, cause: 'chat', key: matchedKeys[0].key, messageIndex: matchedKeys[0].messageIndex });
+      return;
     }
+
+    result.set(identity, base);
   });
 
-  // Use MutationObserver to detect popup close events for world info binding changes
-  // This is needed because ST doesn't emit events when auxiliary lorebooks are changed
-  const popupObserver = new MutationObserver((mutations) => {
-    for (const mutation of mutations) {
-      // Check for removed popup dialogs
-      for (const node of mutation.removedNodes) {
-        if (node instanceof HTMLElement && node.classList?.contains('popup')) {
-          // A popup was closed, check if we need to update the panel
-          if (currentEditorChid !== null && $('#char-worldbooks-panel').length) {
-            if (extension_settings.worldInfoSuite?.enableCharLorebook) {
-              // Small delay to ensure settings are saved
-              setTimeout(() => {
-                updateCharacterWorldBooksPanel(currentEditorChid);
-              }, 100);
-            }
-          }
-        }
-      }
+  return result;
+}
+
+function describeActivationCause(activation, nameByIdentity) {
+  if (!activation) return '';
+  const stepText = activation.step != null ? ` (${i18n('chainStep', activation.step)})` : '';
+
+  switch (activation.cause) {
+    case 'constant':
+      return `${i18n('chainCauseConstant')}${stepText}`;
+    case 'chat':
+      return `${i18n('chainCauseChat', activation.key, activation.messageIndex)}${stepText}`;
+    case 'entry':
+      return `${i18n('chainCauseEntry', activation.key, nameByIdentity.get(activation.parent) ?? activation.parent)}${stepText}`;
+    default:
+      return `${i18n('chainCauseOther')}${stepText}`;
+  }
+}
+
+function renderActivationChain(container, record) {
+  container.innerHTML = '';
+
+  const hint = document.createElement('small');
+  hint.classList.add('wis-map-hint');
+  hint.textContent = i18n('chainHint');
+  container.append(hint);
+
+  const entries = new Map();
+  const nameByIdentity = new Map();
+  retranslateWorldInfoData(record.groups).forEach((group) => {
+    group.entries.forEach((entry) => {
+      const identity = `${entry.worldName}.${entry.uid}`;
+      entries.set(identity, entry);
+      nameByIdentity.set(identity, `${entry.worldName} | ${entry.entryName}`);
+    });
+  });
+
+  const children = new Map();
+  entries.forEach((entry, identity) => {
+    const parent = entry.activation?.parent;
+    if (parent && entries.has(parent)) {
+      if (!children.has(parent)) children.set(parent, []);
+      children.get(parent).push(identity);
     }
   });
 
-  // Observe the document body for popup removals
-  popupObserver.observe(document.body, { childList: true });
-}
+  const visited = new Set();
+  const renderNode = (identity) => {
+    visited.add(identity);
+    const entry = entries.get(identity);
 
-// ============================================================
-// FEATURE 3: Worldbook Sort & Keyword Manager
-// ============================================================
+    const item = document.createElement('li');
+    item.classList.add('wis-chain-node');
+    if (entry.budgetTruncated) item.classList.add('wis-chain-truncated');
 
-function renderWorldbookQuickTagBar(select2Container = null) {
-  const sel = /** @type {HTMLSelectElement | null} */ (document.querySelector('#world_editor_select'));
-  if (!sel) return;
+    const label = document.createElement('span');
+    label.classList.add('wis-chain-label');
+    label.textContent = nameByIdentity.get(identity);
 
-  const container = select2Container || sel.nextElementSibling;
-  if (!(container instanceof HTMLElement) || !container.classList.contains('select2')) return;
+    const cause = document.createElement('small');
+    cause.classList.add('wis-chain-cause');
+    cause.textContent = describeActivationCause(entry.activation, nameByIdentity);
 
-  const controlRow = container.closest('.flex-container.alignitemscenter');
-  const host = container.parentElement || container;
-  let tagBar = document.querySelector('.wis-worldbook-tag-bar');
-  if (!tagBar) {
-    tagBar = document.createElement('div');
-    tagBar.classList.add('wis-worldbook-tag-bar');
-  }
+    item.append(label, cause);
 
-  if (controlRow instanceof HTMLElement) {
-    if (tagBar.previousElementSibling !== controlRow || tagBar.parentElement !== controlRow.parentElement) {
-      controlRow.insertAdjacentElement('afterend', tagBar);
+    const childIds = (children.get(identity) ?? []).filter((childId) => !visited.has(childId));
+    if (childIds.length > 0) {
+      const list = document.createElement('ul');
+      list.classList.add('wis-chain-list');
+      childIds.forEach((childId) => list.append(renderNode(childId)));
+      item.append(list);
     }
-  } else if (tagBar.parentElement !== host) {
-    container.insertAdjacentElement('afterend', tagBar);
-  }
+    return item;
+  };
 
-  if (!extension_settings.worldInfoSuite?.enableWorldbookManager) {
-    tagBar.innerHTML = '';
-    tagBar.style.display = 'none';
-    return;
-  }
+  const rootList = document.createElement('ul');
+  rootList.classList.add('wis-chain-list', 'wis-chain-root');
+  container.append(rootList);
 
-  const settings = getWorldbookManagerSettings();
-  const tags = getAllConfiguredWorldbookTagsInternal(settings);
-
-  if (tags.length === 0) {
-    tagBar.innerHTML = '';
-    tagBar.style.display = 'none';
-    return;
-  }
+  const sortByStep = (a, b) => (entries.get(a).activation?.step ?? 0) - (entries.get(b).activation?.step ?? 0);
+  const roots = [...entries.keys()].filter((identity) => {
+    const parent = entries.get(identity).activation?.parent;
+    return !parent || !entries.has(parent);
+  });
+  roots.sort(sortByStep).forEach((identity) => rootList.append(renderNode(identity)));
 
-  tagBar.style.display = 'flex';
-  tagBar.innerHTML = '';
+  // Inferred parents can form a loop; whatever was not reached from a root is listed on its own
+  [...entries.keys()].filter((identity) => !visited.has(identity)).sort(sortByStep).forEach((identity) => {
+    if (!visited.has(identity)) rootList.append(renderNode(identity));
+  });
+}
 
-  const label = document.createElement('span');
-  label.classList.add('wis-worldbook-tag-label');
-  label.textContent = i18n('worldManagerQuickFilterLabel');
-  tagBar.append(label);
+// ===== Inclusion Groups =====
+// world-info.js drops group losers before WORLDINFO_SCAN_DONE, so competitors are rebuilt from sortedEntries
+const INCLUSION_MEMBER_EMOJI = {
+  winner: '🏆',
+  rejected: '✖️',
+  unmatched: '▫️',
+  unknown: '❔',
+};
 
-  const activeTagToken = normalizeKeywordToken(settings.activeTagFilter);
+function getInclusionGroupNames(entry) {
+  return String(entry?.group ?? '')
+    .split(/,\s*/)
+    .map((name) => name.trim())
+    .filter(Boolean);
+}
 
-  const makeChip = (displayText, tagValue, isActive) => {
-    const chip = document.createElement('button');
-    chip.type = 'button';
-    chip.classList.add('menu_button', 'menu_button_small', 'interactable', 'wis-worldbook-tag-chip');
-    if (isActive) {
-      chip.classList.add('active');
-    }
-    chip.textContent = displayText;
-    chip.addEventListener('click', (event) => {
-      event.preventDefault();
-      event.stopPropagation();
-      const latest = getWorldbookManagerSettings();
-      const isSameTag = normalizeKeywordToken(latest.activeTagFilter) === normalizeKeywordToken(tagValue);
-      latest.activeTagFilter = isSameTag ? '' : tagValue;
-      saveSettingsDebounced();
-      applyWorldbookManagerToEditorSelect();
-      renderWorldbookQuickTagBar(container);
+function recordInclusionGroups(capture, args) {
+  const sortedEntries = Array.isArray(args?.sortedEntries) ? args.sortedEntries : [];
+  const selected = Array.isArray(args?.new?.all) ? args.new.all : [];
+  if (sortedEntries.length === 0) return;
+
+  selected.forEach((entry) => {
+    getInclusionGroupNames(entry).forEach((name) => {
+      if (capture.inclusionGroups.has(name)) return;
+      capture.inclusionGroups.set(name, {
+        winner: entry,
+        members: sortedEntries.filter((candidate) => !candidate.disable && getInclusionGroupNames(candidate).includes(name)),
+      });
     });
-    tagBar.append(chip);
-  };
-
-  makeChip(i18n('worldManagerQuickFilterAll'), '', activeTagToken === '');
-
-  tags.forEach((tag) => {
-    const token = normalizeKeywordToken(tag);
-    makeChip(tag, tag, token === activeTagToken);
   });
 }
 
-function ensureWorldbookManagerControls() {
-  const sel = /** @type {HTMLSelectElement | null} */ (document.querySelector('#world_editor_select'));
-  if (!sel) return false;
+function getGroupMatchScore(entry, scanEnd) {
+  const match = explainEntryMatch(entry, scanEnd);
+  return match ? match.matchedKeys.length + match.matchedSecondaryKeys.length : 0;
+}
 
-  const select2Container = sel.nextElementSibling;
-  if (!(select2Container instanceof HTMLElement) || !select2Container.classList.contains('select2')) {
-    return false;
-  }
+// Follows filterByInclusionGroups: scoring first, then group override by order, then weighted random
+function buildInclusionGroupReport(inclusionGroups, scanEnd) {
+  if (!inclusionGroups?.size) return [];
+
+  const context = createDiagnosticContext(scanEnd);
+  return Array.from(inclusionGroups, ([name, { winner, members }]) => {
+    const winnerIdentity = getEntryIdentity(winner);
+    const described = members.map((member) => {
+      const isWinner = getEntryIdentity(member) === winnerIdentity;
+      // A failed re-check must not cost the whole record, the member is just left unexplained
+      let status = 'winner';
+      if (!isWinner) {
+        try {
+          status = member.constant === true || wouldEntryFire(member, member.world, scanEnd, { context }) ? 'rejected' : 'unmatched';
+        } catch (error) {
+          console.warn(`[${extensionName}] Failed to evaluate inclusion group member:`, error);
+          status = 'unknown';
+        }
+      }
+      return {
+        worldName: member.world,
+        uid: member.uid,
+        entryName: member.comment || `${i18n('entryLabel')} #${member.uid}`,
+        weight: Number(member.groupWeight ?? 100),
+        order: Number(member.order ?? 100),
+        override: Boolean(member.groupOverride),
+        score: getGroupMatchScore(member, scanEnd),
+        status,
+      };
+    });
 
-  select2Container.classList.add('wis-worldbook-select2');
+    const winnerInfo = described.find((member) => member.status === 'winner');
+    let contenders = described.filter((member) => member.status === 'winner' || member.status === 'rejected');
+    const scoring = Boolean(winner.useGroupScoring ?? world_info_use_group_scoring);
 
-  const row = select2Container.parentElement;
-  if (!(row instanceof HTMLElement)) {
-    return false;
-  }
+    let reason = { key: 'groupReasonAlone', args: [] };
+    if (winnerInfo && contenders.length > 1) {
+      if (scoring) {
+        const topScore = Math.max(...contenders.map((member) => member.score));
+        contenders = contenders.filter((member) => member.score === topScore);
+      }
 
-  let manageBtn = row.querySelector('.wis-worldbook-manage-btn');
-  if (!(manageBtn instanceof HTMLElement)) {
-    manageBtn = document.createElement('div');
-    manageBtn.classList.add('menu_button', 'fa-solid', 'fa-arrow-down-a-z', 'interactable', 'wis-worldbook-manage-btn');
-    manageBtn.setAttribute('role', 'button');
-    manageBtn.tabIndex = 0;
+      if (contenders.some((member) => member.override)) {
+        reason = { key: 'groupReasonPriority', args: [winnerInfo.order] };
+      } else if (contenders.length === 1) {
+        reason = { key: 'groupReasonScore', args: [winnerInfo.score] };
+      } else {
+        const totalWeight = contenders.reduce((sum, member) => sum + member.weight, 0);
+        const chance = totalWeight > 0 ? Math.round(winnerInfo.weight / totalWeight * 100) : 0;
+        reason = { key: 'groupReasonWeight', args: [chance, contenders.length] };
+      }
+    }
 
-    const openManager = (event) => {
-      event.preventDefault();
-      event.stopPropagation();
+    return { name, scoring, reason, members: described };
+  });
+}
 
-      if (!extension_settings.worldInfoSuite?.enableWorldbookManager) {
-        toastr.warning(i18n('worldManagerDisabled'));
-        return;
-      }
+function translateInclusionGroups(inclusionGroups) {
+  return (inclusionGroups ?? []).map((group) => ({
+    ...group,
+    reasonText: i18n(group.reason.key, ...group.reason.args),
+    members: group.members.map((member) => {
+      const details = [
+        i18n('groupMemberWeight', member.weight),
+        i18n('groupMemberOrder', member.order),
+      ];
+      if (group.scoring) details.push(i18n('groupMemberScore', member.score));
+      if (member.override) details.push(i18n('groupMemberOverride'));
+
+      return {
+        ...member,
+        statusEmoji: INCLUSION_MEMBER_EMOJI[member.status],
+        statusText: i18n(`groupMember_${member.status}`),
+        detailText: details.join(' · '),
+      };
+    }),
+  }));
+}
 
-      showWorldbookManagerDialog();
-    };
+function findInclusionGroupLoss(record, worldName, uid) {
+  for (const group of record?.inclusionGroups ?? []) {
+    const member = group.members.find((candidate) => candidate.worldName === worldName && candidate.uid === uid);
+    if (member?.status !== 'rejected') continue;
+    const winner = group.members.find((candidate) => candidate.status === 'winner');
+    return { name: group.name, winnerName: winner?.entryName ?? '' };
+  }
+  return null;
+}
 
-    manageBtn.addEventListener('click', openManager);
-    manageBtn.addEventListener('keydown', (event) => {
-      if (event.key === 'Enter' || event.key === ' ') {
-        openManager(event);
-      }
+// ===== Outlets =====
+// Outlet entries are only inserted where an {{outlet::name}} macro consumes them
+const OUTLET_MACRO_REGEX = /{{outlet::(.+?)}}/gi;
+const OUTLET_CHARACTER_FIELDS = [
+  ['description', 'outletSourceDescription'],
+  ['personality', 'outletSourcePersonality'],
+  ['scenario', 'outletSourceScenario'],
+  ['first_mes', 'outletSourceFirstMessage'],
+  ['mes_example', 'outletSourceExamples'],
+  ['system_prompt', 'outletSourceCharSystemPrompt'],
+  ['post_history_instructions', 'outletSourcePostHistory'],
+];
+
+// Labels are kept as locale keys so stored records follow the display language
+function getOutletReferenceSources() {
+  const sources = [];
+  const character = characters?.[this_chid];
+  if (character) {
+    OUTLET_CHARACTER_FIELDS.forEach(([field, key]) => {
+      sources.push({ label: { key }, text: character[field] ?? character.data?.[field] });
     });
   }
 
-  if (manageBtn.parentElement !== row || manageBtn.nextElementSibling !== select2Container) {
-    row.insertBefore(manageBtn, select2Container);
-  }
+  sources.push({ label: { key: 'promptMapAuthorsNote' }, text: chat_metadata?.[metadata_keys.prompt] });
 
-  manageBtn.title = i18n('worldManagerBtnTitle');
-  manageBtn.setAttribute('aria-label', i18n('worldManagerBtnTitle'));
-  manageBtn.style.display = extension_settings.worldInfoSuite?.enableWorldbookManager ? '' : 'none';
+  // Only the prompt layout of the active API is assembled
+  if (main_api === 'openai') {
+    (oai_settings?.prompts ?? []).forEach((prompt) => {
+      sources.push({ label: { key: 'outletSourcePrompt', arg: prompt.name || prompt.identifier }, text: prompt.content });
+    });
+  } else {
+    sources.push({ label: { key: 'outletSourceStoryString' }, text: power_user?.context?.story_string });
+    sources.push({ label: { key: 'outletSourceSystemPrompt' }, text: power_user?.sysprompt?.content });
+  }
 
-  renderWorldbookQuickTagBar(select2Container);
-  return true;
+  return sources;
 }
 
-async function showWorldbookManagerDialog() {
-  if (!Array.isArray(world_names) || world_names.length === 0) {
-    toastr.warning(i18n('worldManagerNoWorlds'));
-    return;
-  }
+// Captured when the entries fire, since the card and prompts may have changed by the time the record is viewed
+function collectOutletReferences() {
+  const references = {};
+  getOutletReferenceSources().forEach(({ label, text }) => {
+    for (const match of String(text ?? '').matchAll(OUTLET_MACRO_REGEX)) {
+      const name = match[1].trim();
+      const labels = references[name] ??= [];
+      if (!labels.some((known) => known.key === label.key && known.arg === label.arg)) labels.push(label);
+    }
+  });
+  return references;
+}
 
-  const settings = getWorldbookManagerSettings();
-  const names = [...world_names];
-  const customOrder = getWorldbookCustomOrder(names, settings);
+function buildOutletReport(groups, references) {
+  const outletGroup = groups.find((group) => group.position === 7);
+  if (!outletGroup) return [];
 
-  const dom = document.createElement('div');
-  dom.classList.add('wis-worldbook-manager-dialog');
+  const byName = new Map();
+  outletGroup.entries.forEach((entry) => {
+    const name = String(entry.outletName ?? '').trim();
+    if (!byName.has(name)) byName.set(name, []);
+    byName.get(name).push(entry);
+  });
 
-  const title = document.createElement('h3');
-  title.textContent = i18n('worldManagerPopupTitle');
-  dom.append(title);
+  return Array.from(byName, ([name, entries]) => {
+    // Records saved before references were captured cannot tell whether the outlet was consumed
+    const consumers = references ? (references[name] ?? []).map((label) => i18n(label.key, label.arg)) : [];
+    const dropped = Boolean(references) && !entries.every((entry) => entry.budgetTruncated) && consumers.length === 0;
+    return {
+      name: name || i18n('outletUnnamed'),
+      macro: `{{outlet::${name}}}`,
+      entries: entries.map((entry) => `${entry.worldName} | ${entry.entryName}`),
+      consumerText: references ? consumers.join(', ') : i18n('outletConsumersUnknown'),
+      dropped,
+    };
+  }).sort((a, b) => Number(b.dropped) - Number(a.dropped) || a.name.localeCompare(b.name));
+}
 
-  const hint = document.createElement('small');
-  hint.classList.add('wis-worldbook-manager-hint');
-  hint.textContent = i18n('worldManagerPopupHint');
-  dom.append(hint);
+// ===== Prompt Map =====
+// Reconstructs where each injected entry landed in the prompt, using ST's default story string layout
+const PROMPT_MAP_CONTEXT_MESSAGES = 2;
+const PROMPT_MAP_DETAIL_LENGTH = 120;
 
-  const createSection = (labelKey) => {
-    const section = document.createElement('section');
-    section.classList.add('wis-worldbook-manager-section');
-    const sectionTitle = document.createElement('h4');
-    sectionTitle.textContent = i18n(labelKey);
-    section.append(sectionTitle);
-    dom.append(section);
-    return section;
+// Captured with each record, since the Author's Note can change after the generation
+function getAuthorsNotePlacement() {
+  const position = chat_metadata?.[metadata_keys.position] ?? extension_prompt_types.IN_CHAT;
+  return {
+    inChat: position === extension_prompt_types.IN_CHAT,
+    depth: Number(chat_metadata?.[metadata_keys.depth] ?? 4),
+    text: String(chat_metadata?.[metadata_keys.prompt] ?? '').replace(/\s+/g, ' ').trim().slice(0, PROMPT_MAP_DETAIL_LENGTH),
   };
+}
 
-  let selectedSort = settings.baseSort;
-
-  const simpleSortSection = createSection('worldManagerSectionSimpleSort');
-  const sortButtonGroup = document.createElement('div');
-  sortButtonGroup.classList.add('wis-worldbook-sort-buttons');
-  simpleSortSection.append(sortButtonGroup);
+function getRecordHistoryLength(record, messageId) {
+  if (typeof record.historyLength === 'number') return record.historyLength;
+  if (messageId == null) return chat?.length ?? 0;
+  return Number(messageId) + (record.generationType === 'continue' ? 1 : 0);
+}
 
-  const sortOptions = [
-    { mode: WORLDBOOK_SORT_MODE.CREATED_DESC, key: 'worldManagerSortCreatedDesc' },
-    { mode: WORLDBOOK_SORT_MODE.CREATED_ASC, key: 'worldManagerSortCreatedAsc' },
-    { mode: WORLDBOOK_SORT_MODE.NAME_ASC, key: 'worldManagerSortNameAsc' },
-    { mode: WORLDBOOK_SORT_MODE.NAME_DESC, key: 'worldManagerSortNameDesc' },
-    { mode: WORLDBOOK_SORT_MODE.CUSTOM, key: 'worldManagerSortCustom' },
-  ];
+function buildPromptMap(record, messageId) {
+  const byPosition = {};
+  retranslateWorldInfoData(record.groups).forEach((group) => {
+    // Entries cut by the budget never reached the prompt
+    byPosition[group.position] = group.entries.filter((entry) => !entry.budgetTruncated);
+  });
 
-  const sortButtons = [];
-  const refreshSortButtonState = () => {
-    sortButtons.forEach(({ button, mode }) => {
-      button.classList.toggle('active', mode === selectedSort);
-    });
+  const items = [];
+  const pushEntries = (position) => (byPosition[position] ?? []).forEach((entry) => items.push({ kind: 'entry', position, entry }));
+  // Records saved before the Author's Note was captured fall back to the current one
+  const authorsNote = record.authorsNote ?? getAuthorsNotePlacement();
+  const authorsNoteLabel = record.authorsNote ? i18n('promptMapAuthorsNote') : i18n('promptMapAuthorsNoteCurrent');
+  const hasAuthorsNote = Boolean(authorsNote.text) || (byPosition[2]?.length ?? 0) + (byPosition[3]?.length ?? 0) > 0;
+  const pushAuthorsNote = () => {
+    if (!hasAuthorsNote) return;
+    pushEntries(2);
+    items.push({ kind: 'fixed', icon: '📝', label: authorsNoteLabel, detail: authorsNote.text });
+    pushEntries(3);
   };
 
-  const updateCustomSectionVisibility = (section) => {
-    section.style.display = selectedSort === WORLDBOOK_SORT_MODE.CUSTOM ? '' : 'none';
+  pushEntries(0);
+  items.push({ kind: 'fixed', icon: '📇', label: i18n('promptMapCharDefs') });
+  pushEntries(1);
+  if (!authorsNote.inChat) pushAuthorsNote();
+  pushEntries(5);
+  items.push({ kind: 'fixed', icon: '💬', label: i18n('promptMapExamples') });
+  pushEntries(6);
+
+  // Hidden messages are not sent, so they do not count towards depth either
+  const history = chat
+    .slice(0, getRecordHistoryLength(record, messageId))
+    .map((message, index) => ({ message, index }))
+    .filter(({ message }) => message && !message.is_system);
+
+  const insertions = new Map();
+  const insertAt = (depth, callback) => {
+    const index = Math.max(0, history.length - Math.max(0, Number(depth) || 0));
+    if (!insertions.has(index)) insertions.set(index, []);
+    insertions.get(index).push(callback);
   };
 
-  sortOptions.forEach(({ mode, key }) => {
-    const button = document.createElement('button');
-    button.type = 'button';
-    button.classList.add('menu_button', 'menu_button_small', 'wis-worldbook-sort-btn');
-    button.textContent = i18n(key);
-    button.addEventListener('click', () => {
-      selectedSort = mode;
-      refreshSortButtonState();
-      updateCustomSectionVisibility(customSection);
-    });
-    sortButtonGroup.append(button);
-    sortButtons.push({ button, mode });
+  [...(byPosition[4] ?? [])].sort(compareDepthEntries).forEach((entry) => {
+    insertAt(entry.depth, () => items.push({ kind: 'entry', position: 4, entry }));
   });
+  if (authorsNote.inChat) insertAt(authorsNote.depth, pushAuthorsNote);
 
-  const prioritySection = createSection('worldManagerSectionPriority');
+  // Only the messages around injections are listed, the rest collapse into a summary line
+  const firstInsertion = insertions.size > 0 ? Math.min(...insertions.keys()) : history.length;
+  const firstShown = Math.max(0, firstInsertion - PROMPT_MAP_CONTEXT_MESSAGES);
+  if (firstShown > 0) {
+    items.push({ kind: 'collapsed', label: i18n('promptMapEarlierMessages', firstShown) });
+  }
 
-  const priorityLabel = document.createElement('label');
-  priorityLabel.classList.add('wis-worldbook-manager-input-label');
-  priorityLabel.textContent = i18n('worldManagerPriorityKeywords');
-  prioritySection.append(priorityLabel);
+  for (let index = firstShown; index <= history.length; index++) {
+    insertions.get(index)?.forEach((insert) => insert());
+    if (index === history.length) break;
+
+    const { message, index: chatIndex } = history[index];
+    items.push({
+      kind: 'message',
+      icon: message.is_user ? '👤' : '🤖',
+      label: `#${chatIndex} ${message.name ?? ''}`,
+      detail: String(message.mes ?? '').replace(/\s+/g, ' ').slice(0, PROMPT_MAP_DETAIL_LENGTH),
+      depth: history.length - index - 1,
+    });
+  }
 
-  const priorityInput = document.createElement('input');
-  priorityInput.type = 'text';
-  priorityInput.classList.add('text_pole');
-  priorityInput.placeholder = i18n('worldManagerPriorityKeywordsPlaceholder');
-  priorityInput.value = settings.priorityKeywords.join(', ');
-  prioritySection.append(priorityInput);
+  items.push({ kind: 'fixed', icon: '✍️', label: i18n('promptMapGeneration') });
 
-  const boundPriorityLabel = document.createElement('label');
-  boundPriorityLabel.classList.add('wis-feature-label', 'wis-worldbook-inline-checkbox');
-  const boundPriorityCheckbox = document.createElement('input');
-  boundPriorityCheckbox.type = 'checkbox';
-  boundPriorityCheckbox.checked = Boolean(settings.prioritizeCharacterBound);
-  const boundPriorityText = document.createElement('span');
-  boundPriorityText.textContent = i18n('worldManagerPrioritizeBound');
-  boundPriorityLabel.append(boundPriorityCheckbox, boundPriorityText);
-  prioritySection.append(boundPriorityLabel);
+  return { items, outlets: byPosition[7] ?? [] };
+}
 
-  const hideSection = createSection('worldManagerSectionHide');
+function renderPromptMap(container, record, messageId) {
+  container.innerHTML = '';
+  const map = buildPromptMap(record, messageId);
 
-  const hiddenLabel = document.createElement('label');
-  hiddenLabel.classList.add('wis-worldbook-manager-input-label');
-  hiddenLabel.textContent = i18n('worldManagerHiddenKeywords');
-  hideSection.append(hiddenLabel);
+  const hint = document.createElement('small');
+  hint.classList.add('wis-map-hint');
+  hint.textContent = i18n('promptMapHint');
+  container.append(hint);
+
+  const list = document.createElement('ol');
+  list.classList.add('wis-map-list');
+  container.append(list);
+
+  const createRow = (className, icon, label, detail) => {
+    const row = document.createElement('li');
+    row.classList.add('wis-map-row', className);
+
+    const title = document.createElement('span');
+    title.classList.add('wis-map-label');
+    title.textContent = `${icon} ${label}`;
+    row.append(title);
+
+    if (detail) {
+      const detailElement = document.createElement('small');
+      detailElement.classList.add('wis-map-detail');
+      detailElement.textContent = detail;
+      row.append(detailElement);
+    }
+    return row;
+  };
 
-  const hiddenInput = document.createElement('input');
-  hiddenInput.type = 'text';
-  hiddenInput.classList.add('text_pole');
-  hiddenInput.placeholder = i18n('worldManagerHiddenKeywordsPlaceholder');
-  hiddenInput.value = settings.hiddenKeywords.join(', ');
-  hideSection.append(hiddenInput);
+  const createEntryRow = (entry, position) => {
+    const positionInfo = getPositionInfo()[position];
+    let placement = positionInfo?.name;
+    if (position === 4) placement = formatRoleDepthTag(entry);
+    if (position === 7) placement = `{{outlet::${entry.outletName ?? ''}}}`;
+    return createRow('wis-map-entry', positionInfo?.emoji ?? '❓', `${entry.worldName} | ${entry.entryName}`, placement);
+  };
 
-  const customSection = createSection('worldManagerSectionCustomOrder');
-  const customHint = document.createElement('small');
-  customHint.classList.add('wis-worldbook-manager-hint');
-  customHint.textContent = i18n('worldManagerCustomOrderHint');
-  customSection.append(customHint);
+  map.items.forEach((item) => {
+    switch (item.kind) {
+      case 'entry':
+        list.append(createEntryRow(item.entry, item.position));
+        break;
+      case 'message': {
+        const row = createRow('wis-map-message', item.icon, item.label, item.detail);
+        row.title = i18n('promptMapMessageDepth', item.depth);
+        list.append(row);
+        break;
+      }
+      case 'collapsed':
+        list.append(createRow('wis-map-collapsed', '⋯', item.label));
+        break;
+      default:
+        list.append(createRow('wis-map-fixed', item.icon, item.label, item.detail));
+        break;
+    }
+  });
 
-  const customOrderList = document.createElement('div');
-  customOrderList.classList.add('wis-worldbook-order-list');
-  customSection.append(customOrderList);
+  if (map.outlets.length > 0) {
+    const outletTitle = document.createElement('h4');
+    outletTitle.textContent = i18n('promptMapOutlets');
+    container.append(outletTitle);
 
-  refreshSortButtonState();
-  updateCustomSectionVisibility(customSection);
+    const outletList = document.createElement('ul');
+    outletList.classList.add('wis-map-list');
+    map.outlets.forEach((entry) => outletList.append(createEntryRow(entry, 7)));
+    container.append(outletList);
+  }
+}
 
-  customOrder.forEach((worldName) => {
-    const item = document.createElement('div');
-    item.classList.add('wis-worldbook-order-item');
-    item.dataset.worldName = worldName;
+function bindViewerTabs(container, { record, messageId }) {
+  const renderedPanels = new Set(['entries']);
 
-    const handle = document.createElement('span');
-    handle.classList.add('wis-worldbook-order-handle', 'fa-solid', 'fa-grip-lines');
-    const nameEl = document.createElement('span');
-    nameEl.classList.add('wis-worldbook-order-name');
-    nameEl.textContent = worldName;
+  container.querySelectorAll('[data-wi-tab]').forEach((tabButton) => {
+    tabButton.addEventListener('click', () => {
+      const tab = tabButton.getAttribute('data-wi-tab');
+      container.querySelectorAll('[data-wi-tab]').forEach((button) => button.classList.toggle('active', button === tabButton));
+      container.querySelectorAll('[data-wi-panel]').forEach((panel) => {
+        panel.hidden = panel.getAttribute('data-wi-panel') !== tab;
+      });
 
-    item.append(handle, nameEl);
-    customOrderList.append(item);
+      // Panels other than the entry list are built on first open
+      if (renderedPanels.has(tab)) return;
+      renderedPanels.add(tab);
+      const panel = container.querySelector(`[data-wi-panel="${tab}"]`);
+      if (tab === 'prompt-map' && messageId != null) renderPromptMap(panel, record, messageId);
+      if (tab === 'chain') renderActivationChain(panel, record);
+      if (tab === 'timed') renderTimedEffects(panel, record.timedEffects);
+    });
   });
+}
 
-  let sortableEnabled = false;
-  if (typeof $(customOrderList).sortable === 'function') {
-    sortableEnabled = true;
-    $(customOrderList).sortable({
-      items: '.wis-worldbook-order-item',
-      handle: '.wis-worldbook-order-handle',
-      axis: 'y',
-      tolerance: 'pointer',
+// ===== Compare Mode =====
+function listViewerRecordRefs() {
+  const refs = [];
+  if (!Array.isArray(chat)) return refs;
+
+  chat.forEach((message, messageId) => {
+    const swipeIds = getRecordedSwipeIds(messageId);
+    const hasSwipes = Array.isArray(message?.swipes) && message.swipes.length > 1;
+
+    swipeIds.forEach((swipeId) => {
+      const text = hasSwipes ? message.swipes[swipeId] : message?.mes;
+      const preview = String(text ?? '').replace(/\s+/g, ' ').slice(0, 40);
+      const swipeLabel = hasSwipes ? ` [${i18n('labelSwipe')} ${swipeId + 1}]` : '';
+      refs.push({
+        value: `${messageId}:${swipeId}`,
+        label: `#${messageId}${swipeLabel} ${message?.name ?? ''}: ${preview}`,
+        record: getViewerRecord(messageId, swipeId),
+      });
     });
-  }
+  });
 
-  const tagSection = createSection('worldManagerSectionTagEditor');
+  return refs;
+}
 
-  const tagSearchInput = document.createElement('input');
-  tagSearchInput.type = 'text';
-  tagSearchInput.classList.add('text_pole');
-  tagSearchInput.placeholder = i18n('worldManagerTagSearchPlaceholder');
-  tagSection.append(tagSearchInput);
+function flattenViewerRecord(record) {
+  const entries = new Map();
+  record?.groups?.forEach((group) => {
+    group.entries.forEach((entry) => {
+      entries.set(`${entry.worldName}.${entry.uid}`, { ...entry, position: group.position });
+    });
+  });
+  return entries;
+}
 
-  const tagRowsWrap = document.createElement('div');
-  tagRowsWrap.classList.add('wis-worldbook-tag-editor-list');
-  tagSection.append(tagRowsWrap);
+function describeEntryPlacement(entry) {
+  const positionInfo = getPositionInfo();
+  const positionName = positionInfo[entry.position]?.name ?? `${i18n('positionUnknown')} (${entry.position})`;
+  const parts = [positionName];
+  if (entry.position === 4 && entry.depth != null) {
+    parts.push(formatRoleDepthTag(entry));
+  }
+  if (entry.budgetTruncated) {
+    parts.push(i18n('labelBudgetTruncated'));
+  }
+  return parts.join(' · ');
+}
 
-  const tagRows = [];
+function diffViewerRecords(recordA, recordB) {
+  const entriesA = flattenViewerRecord(recordA);
+  const entriesB = flattenViewerRecord(recordB);
+  const added = [];
+  const removed = [];
+  const changed = [];
 
-  customOrder.forEach((worldName) => {
-    const row = document.createElement('label');
-    row.classList.add('wis-worldbook-tag-editor-row');
-    row.dataset.worldName = worldName;
+  entriesB.forEach((entry, key) => {
+    if (!entriesA.has(key)) added.push(entry);
+  });
 
-    const nameEl = document.createElement('span');
-    nameEl.classList.add('wis-worldbook-tag-editor-name');
-    nameEl.textContent = worldName;
+  entriesA.forEach((entry, key) => {
+    const other = entriesB.get(key);
+    if (!other) {
+      removed.push(entry);
+      return;
+    }
 
-    const input = document.createElement('input');
-    input.type = 'text';
-    input.classList.add('text_pole');
-    input.placeholder = i18n('worldManagerTagInputPlaceholder');
-    input.value = getWorldbookTags(worldName, settings).join(', ');
+    const placementChanged = entry.position !== other.position
+      || (entry.depth ?? null) !== (other.depth ?? null)
+      || getRoleString(entry.role) !== getRoleString(other.role)
+      || Boolean(entry.budgetTruncated) !== Boolean(other.budgetTruncated);
+    if (placementChanged) {
+      changed.push({ before: entry, after: other });
+    }
+  });
 
-    row.append(nameEl, input);
-    tagRowsWrap.append(row);
-    tagRows.push({ row, worldName, input });
+  return { added, removed, changed, unchangedCount: entriesB.size - added.length - changed.length };
+}
+
+function renderViewerDiff(container, diff) {
+  container.innerHTML = '';
+
+  const createSection = (titleKey, items, className, describe) => {
+    const section = document.createElement('section');
+    section.classList.add('wis-compare-section', className);
+
+    const title = document.createElement('h4');
+    title.textContent = `${i18n(titleKey)} (${items.length})`;
+    section.append(title);
+
+    if (items.length === 0) {
+      const empty = document.createElement('small');
+      empty.textContent = i18n('labelNone');
+      section.append(empty);
+    }
+
+    items.forEach((item) => {
+      const row = document.createElement('div');
+      row.classList.add('wis-compare-row');
+      const entry = item.after ?? item;
+
+      const name = document.createElement('span');
+      name.classList.add('wis-compare-name');
+      name.textContent = `${entry.worldName} | ${entry.entryName || `${i18n('entryLabel')} #${entry.uid}`}`;
+
+      const detail = document.createElement('small');
+      detail.textContent = describe(item);
+
+      row.append(name, detail);
+      section.append(row);
+    });
+
+    container.append(section);
+  };
+
+  createSection('compareAdded', diff.added, 'wis-compare-added', (entry) => describeEntryPlacement(entry));
+  createSection('compareRemoved', diff.removed, 'wis-compare-removed', (entry) => describeEntryPlacement(entry));
+  createSection('compareChanged', diff.changed, 'wis-compare-changed', ({ before, after }) => `${describeEntryPlacement(before)} → ${describeEntryPlacement(after)}`);
+
+  const unchanged = document.createElement('small');
+  unchanged.classList.add('wis-compare-unchanged');
+  unchanged.textContent = i18n('compareUnchanged', Math.max(0, diff.unchangedCount));
+  container.append(unchanged);
+}
+
+async function showViewerCompareDialog(messageId, swipeId = getMessageSwipeId(messageId)) {
+  const refs = listViewerRecordRefs();
+  if (refs.length < 2) {
+    toastr.info(i18n('compareNotEnoughRecords'));
+    return;
+  }
+
+  const dom = document.createElement('div');
+  dom.classList.add('wis-compare-dialog');
+
+  const title = document.createElement('h3');
+  title.textContent = i18n('compareTitle');
+  dom.append(title);
+
+  const controls = document.createElement('div');
+  controls.classList.add('wis-compare-controls');
+  dom.append(controls);
+
+  const createSelect = (labelKey) => {
+    const label = document.createElement('label');
+    label.classList.add('wis-diag-control');
+    const text = document.createElement('span');
+    text.textContent = i18n(labelKey);
+    const select = document.createElement('select');
+    select.classList.add('text_pole');
+    refs.forEach((ref) => select.append(new Option(ref.label, ref.value)));
+    label.append(text, select);
+    controls.append(label);
+    return select;
+  };
+
+  const selectA = createSelect('compareBaseLabel');
+  const selectB = createSelect('compareTargetLabel');
+
+  const currentIndex = Math.max(0, refs.findIndex((ref) => ref.value === `${messageId}:${swipeId}`));
+  const targetIndex = currentIndex > 0 ? currentIndex : refs.length - 1;
+  selectB.value = refs[targetIndex].value;
+  selectA.value = refs[Math.max(0, targetIndex - 1)].value;
+
+  const results = document.createElement('div');
+  results.classList.add('wis-compare-results');
+  dom.append(results);
+
+  const runCompare = () => {
+    const refA = refs.find((ref) => ref.value === selectA.value);
+    const refB = refs.find((ref) => ref.value === selectB.value);
+    if (!refA || !refB) return;
+    renderViewerDiff(results, diffViewerRecords(refA.record, refB.record));
+  };
+
+  selectA.addEventListener('change', runCompare);
+  selectB.addEventListener('change', runCompare);
+  runCompare();
+
+  const popup = new Popup(dom, POPUP_TYPE.TEXT, null, {
+    okButton: i18n('popupClose'),
+    wide: true,
+    allowVerticalScrolling: true,
   });
+  await popup.show();
+}
 
-  tagSearchInput.addEventListener('input', () => {
-    const token = normalizeKeywordToken(tagSearchInput.value);
+// ===== Activation Timeline =====
+// Rows are entries, columns are the messages that still hold a record for their displayed swipe
+const TIMELINE_MIN_COLUMNS_FOR_FLAGS = 3;
 
-    tagRows.forEach(({ row, worldName, input }) => {
-      if (!token) {
-        row.style.display = '';
-        return;
+function buildActivationTimeline() {
+  const columns = [];
+  const rows = new Map();
+  if (!Array.isArray(chat)) return { columns, rows: [] };
+
+  chat.forEach((_message, messageId) => {
+    const record = getViewerRecord(messageId);
+    if (!record) return;
+
+    const columnIndex = columns.length;
+    columns.push({ messageId, generationType: record.generationType });
+
+    flattenViewerRecord(record).forEach((entry, key) => {
+      if (!rows.has(key)) {
+        rows.set(key, { key, worldName: entry.worldName, uid: entry.uid, entryName: entry.entryName, hits: new Map() });
       }
+      const row = rows.get(key);
+      row.entryName = entry.entryName || row.entryName;
+      row.hits.set(columnIndex, entry);
+    });
+  });
 
-      const inName = normalizeKeywordToken(worldName).includes(token);
-      const inTags = normalizeKeywordToken(input.value).includes(token);
-      row.style.display = (inName || inTags) ? '' : 'none';
+  const total = columns.length;
+  return {
+    columns,
+    rows: Array.from(rows.values()).map((row) => {
+      const fired = Array.from(row.hits.keys());
+      const lastColumn = Math.max(...fired);
+      return {
+        ...row,
+        count: fired.length,
+        lastColumn,
+        // Fires on every recorded turn, a likely budget sink
+        always: total >= TIMELINE_MIN_COLUMNS_FOR_FLAGS && fired.length === total,
+        // Has not fired in the later half of the recorded turns
+        dormant: total >= TIMELINE_MIN_COLUMNS_FOR_FLAGS && lastColumn < Math.floor(total / 2),
+      };
+    }),
+  };
+}
+
+const TIMELINE_SORTERS = {
+  frequent: (a, b) => b.count - a.count || a.key.localeCompare(b.key),
+  rare: (a, b) => a.count - b.count || a.key.localeCompare(b.key),
+  stale: (a, b) => a.lastColumn - b.lastColumn || b.count - a.count,
+};
+
+function renderActivationTimeline(container, timeline, sortMode) {
+  container.innerHTML = '';
+
+  const grid = document.createElement('div');
+  grid.classList.add('wis-timeline-grid');
+  grid.style.gridTemplateColumns = `minmax(180px, max-content) 70px repeat(${timeline.columns.length}, 18px)`;
+  container.append(grid);
+
+  const corner = document.createElement('div');
+  corner.classList.add('wis-timeline-corner');
+  corner.textContent = i18n('timelineEntryHeader');
+  const countHeader = document.createElement('div');
+  countHeader.classList.add('wis-timeline-corner');
+  countHeader.textContent = i18n('timelineCountHeader');
+  grid.append(corner, countHeader);
+
+  timeline.columns.forEach((column) => {
+    const header = document.createElement('div');
+    header.classList.add('wis-timeline-column-header');
+    header.textContent = String(column.messageId);
+    header.title = `${i18n('labelMessage')} #${column.messageId} · ${getGenerationTypeLabel(column.generationType)}`;
+    grid.append(header);
+  });
+
+  [...timeline.rows].sort(TIMELINE_SORTERS[sortMode] ?? TIMELINE_SORTERS.frequent).forEach((row) => {
+    const label = document.createElement('div');
+    label.classList.add('wis-timeline-label');
+    label.textContent = `${row.worldName} | ${row.entryName || `${i18n('entryLabel')} #${row.uid}`}`;
+    label.title = label.textContent;
+    if (row.always) {
+      label.prepend(Object.assign(document.createElement('span'), { className: 'wis-timeline-flag', textContent: '🔥', title: i18n('timelineAlwaysTitle') }));
+    } else if (row.dormant) {
+      label.prepend(Object.assign(document.createElement('span'), { className: 'wis-timeline-flag', textContent: '💤', title: i18n('timelineDormantTitle') }));
+    }
+
+    const count = document.createElement('div');
+    count.classList.add('wis-timeline-count');
+    count.textContent = `${row.count} / ${timeline.columns.length}`;
+    grid.append(label, count);
+
+    timeline.columns.forEach((column, columnIndex) => {
+      const cell = document.createElement('div');
+      cell.classList.add('wis-timeline-cell');
+      const hit = row.hits.get(columnIndex);
+      if (hit) {
+        cell.classList.add(hit.budgetTruncated ? 'wis-timeline-truncated' : 'wis-timeline-hit');
+        cell.title = `${i18n('labelMessage')} #${column.messageId} · ${describeEntryPlacement(hit)}`;
+        cell.addEventListener('click', () => showWorldInfoPopup(column.messageId));
+      } else {
+        cell.title = `${i18n('labelMessage')} #${column.messageId}`;
+      }
+      grid.append(cell);
     });
   });
+}
 
-  const popup = new Popup(dom, POPUP_TYPE.CONFIRM, null, {
-    okButton: i18n('worldManagerApply'),
-    cancelButton: i18n('bulkEditCancel'),
+async function showActivationTimelineDialog() {
+  const timeline = buildActivationTimeline();
+  if (timeline.columns.length === 0) {
+    toastr.info(i18n('timelineNoRecords'));
+    return;
+  }
+
+  const dom = document.createElement('div');
+  dom.classList.add('wis-timeline-dialog');
+
+  const title = document.createElement('h3');
+  title.textContent = i18n('timelineTitle');
+  dom.append(title);
+
+  const hint = document.createElement('small');
+  hint.textContent = i18n('timelineHint', timeline.columns.length);
+  dom.append(hint);
+
+  const controls = document.createElement('label');
+  controls.classList.add('wis-diag-control');
+  const sortText = document.createElement('span');
+  sortText.textContent = i18n('timelineSortLabel');
+  const sortSelect = document.createElement('select');
+  sortSelect.classList.add('text_pole');
+  sortSelect.append(
+    new Option(i18n('timelineSortFrequent'), 'frequent'),
+    new Option(i18n('timelineSortRare'), 'rare'),
+    new Option(i18n('timelineSortStale'), 'stale'),
+  );
+  controls.append(sortText, sortSelect);
+  dom.append(controls);
+
+  const legend = document.createElement('small');
+  legend.classList.add('wis-timeline-legend');
+  legend.textContent = i18n('timelineLegend');
+  dom.append(legend);
+
+  const results = document.createElement('div');
+  results.classList.add('wis-timeline-scroll');
+  dom.append(results);
+
+  sortSelect.addEventListener('change', () => renderActivationTimeline(results, timeline, sortSelect.value));
+  renderActivationTimeline(results, timeline, sortSelect.value);
+
+  const popup = new Popup(dom, POPUP_TYPE.TEXT, null, {
+    okButton: i18n('popupClose'),
+    wide: true,
     large: true,
-    wider: true,
     allowVerticalScrolling: true,
   });
+  await popup.show();
+}
 
-  const result = await popup.show();
+// ===== Timed Effects =====
+// chat_metadata.timedWorldInfo is keyed by entry hash, which is only exposed on the scanned entries
+const TIMED_EFFECT_EMOJI = {
+  sticky: '📌',
+  cooldown: '🧊',
+  delay: '⏳',
+};
+const timedEffectEntryIndex = new Map();
 
-  if (sortableEnabled) {
-    try {
-      if ($(customOrderList).sortable('instance') !== undefined) {
-        $(customOrderList).sortable('destroy');
-      }
-    } catch (_err) {
-      // ignore cleanup errors
-    }
+function describeTimedEntry(entry) {
+  return {
+    worldName: entry.world,
+    uid: entry.uid,
+    entryName: entry.comment || `${i18n('entryLabel')} #${entry.uid}`,
+    delay: entry.disable ? 0 : (Number(entry.delay) || 0),
+  };
+}
+
+function indexTimedEffectEntries(capture, args) {
+  const sortedEntries = Array.isArray(args?.sortedEntries) ? args.sortedEntries : [];
+  sortedEntries.forEach((entry) => {
+    if (entry?.hash == null) return;
+    timedEffectEntryIndex.set(String(entry.hash), describeTimedEntry(entry));
+  });
+
+  if (capture.loopCount === 1) {
+    capture.delayedEntries = sortedEntries.map(describeTimedEntry).filter((entry) => entry.delay > 0);
   }
+}
 
-  if (result !== POPUP_RESULT.AFFIRMATIVE) {
-    return;
+// Scans only index what they see, so after a reload the index is rebuilt from the same entry list ST hashes
+async function refreshTimedEffectEntryIndex() {
+  try {
+    const entries = await getSortedEntries();
+    (Array.isArray(entries) ? entries : []).forEach((entry) => {
+      if (entry?.hash == null) return;
+      timedEffectEntryIndex.set(String(entry.hash), describeTimedEntry(entry));
+    });
+  } catch (error) {
+    console.warn(`[${extensionName}] Failed to index World Info entries for timed effects:`, error);
   }
+}
 
-  settings.baseSort = selectedSort;
-  settings.priorityKeywords = parseKeywordInput(priorityInput.value);
-  settings.hiddenKeywords = parseKeywordInput(hiddenInput.value);
-  settings.prioritizeCharacterBound = boundPriorityCheckbox.checked;
-  settings.customOrder = [...customOrderList.querySelectorAll('.wis-worldbook-order-item')]
-    .map((item) => item.dataset.worldName)
-    .filter(Boolean);
+function findTimedEffect(type, worldName, uid) {
+  const effects = chat_metadata?.timedWorldInfo?.[type];
+  if (!effects) return null;
 
-  const worldTags = {};
-  tagRows.forEach(({ worldName, input }) => {
-    const tags = parseKeywordInput(input.value);
-    if (tags.length > 0) {
-      worldTags[worldName] = tags;
+  for (const [hash, info] of timedEffectEntryIndex) {
+    if (info.worldName === worldName && String(info.uid) === String(uid) && effects[hash]) {
+      return effects[hash];
     }
+  }
+  return null;
+}
+
+// Mirrors WorldInfoTimedEffects: an effect is active until the chat reaches its end, delays until the chat reaches the delay
+function collectTimedEffects(chatLength, delayedEntries = []) {
+  const effects = [];
+
+  ['sticky', 'cooldown'].forEach((type) => {
+    Object.entries(chat_metadata?.timedWorldInfo?.[type] ?? {}).forEach(([hash, effect]) => {
+      const end = Number(effect?.end);
+      if (!(chatLength < end)) return;
+
+      const info = timedEffectEntryIndex.get(String(hash));
+      effects.push({
+        type,
+        hash: String(hash),
+        worldName: info?.worldName ?? null,
+        uid: info?.uid ?? null,
+        entryName: info?.entryName ?? null,
+        start: Number(effect.start),
+        remaining: end - chatLength,
+        protected: Boolean(effect.protected),
+      });
+    });
   });
-  settings.worldTags = worldTags;
 
-  const availableTags = getAllConfiguredWorldbookTagsInternal(settings);
-  if (settings.activeTagFilter && !availableTags.some((tag) => normalizeKeywordToken(tag) === normalizeKeywordToken(settings.activeTagFilter))) {
-    settings.activeTagFilter = '';
+  const seen = new Set();
+  delayedEntries.forEach((entry) => {
+    const identity = `${entry.worldName}.${entry.uid}`;
+    if (entry.delay <= chatLength || seen.has(identity)) return;
+    seen.add(identity);
+    effects.push({
+      type: 'delay',
+      hash: null,
+      worldName: entry.worldName,
+      uid: entry.uid,
+      entryName: entry.entryName,
+      start: null,
+      remaining: entry.delay - chatLength,
+      protected: false,
+    });
+  });
+
+  return effects.sort((a, b) => a.type.localeCompare(b.type) || a.remaining - b.remaining);
+}
+
+function renderTimedEffects(container, effects) {
+  container.innerHTML = '';
+
+  const hint = document.createElement('small');
+  hint.classList.add('wis-map-hint');
+  hint.textContent = i18n('timedHint');
+  container.append(hint);
+
+  if (!Array.isArray(effects)) {
+    const empty = document.createElement('p');
+    empty.textContent = i18n('timedNotRecorded');
+    container.append(empty);
+    return;
   }
 
-  saveSettingsDebounced();
-  scheduleWorldbookManagerRefresh();
-  toastr.success(i18n('worldManagerSaved'));
+  if (effects.length === 0) {
+    const empty = document.createElement('p');
+    empty.textContent = i18n('timedNone');
+    container.append(empty);
+    return;
+  }
+
+  const list = document.createElement('div');
+  list.classList.add('wis-timed-list');
+
+  effects.forEach((effect) => {
+    const row = document.createElement('div');
+    row.classList.add('wis-timed-row', `wis-timed-${effect.type}`);
+
+    const type = document.createElement('span');
+    type.classList.add('wis-timed-type');
+    type.textContent = `${TIMED_EFFECT_EMOJI[effect.type]} ${i18n(`timedType_${effect.type}`)}`;
+
+    const name = document.createElement('span');
+    name.classList.add('wis-timed-name');
+    name.textContent = effect.entryName
+      ? `${effect.worldName} | ${effect.entryName}`
+      : i18n('timedUnknownEntry', effect.hash);
+
+    const details = [i18n('timedRemaining', effect.remaining)];
+    if (effect.start != null) details.push(i18n('timedStartedAt', effect.start));
+    if (effect.protected) details.push(i18n('timedProtected'));
+
+    const detail = document.createElement('small');
+    detail.textContent = details.join(' · ');
+
+    row.append(type, name, detail);
+    list.append(row);
+  });
+
+  container.append(list);
 }
 
-function refreshWorldbookManagerUI() {
-  const controlsReady = ensureWorldbookManagerControls();
-  if (!controlsReady) return;
+async function showTimedEffectsDialog() {
+  if (!Array.isArray(chat) || getCurrentChatId() == null) {
+    toastr.info(i18n('timedNoChat'));
+    return;
+  }
 
-  applyWorldbookManagerToEditorSelect();
-  renderWorldbookQuickTagBar();
+  await refreshTimedEffectEntryIndex();
+
+  // Delays are static, so they can be read straight from the active books
+  const delayedEntries = [];
+  for (const worldName of getActiveWorldbookNames()) {
+    const data = await loadWorldInfo(worldName);
+    Object.values(data?.entries ?? {}).forEach((entry) => {
+      delayedEntries.push(describeTimedEntry({ ...entry, world: worldName }));
+    });
+  }
+
+  const dom = document.createElement('div');
+  dom.classList.add('wis-timed-dialog');
+
+  const title = document.createElement('h3');
+  title.textContent = i18n('timedTitle');
+  dom.append(title);
+
+  const status = document.createElement('small');
+  status.textContent = i18n('timedChatStatus', chat.length);
+  dom.append(status);
+
+  const results = document.createElement('div');
+  renderTimedEffects(results, collectTimedEffects(chat.length, delayedEntries.filter((entry) => entry.delay > 0)));
+  dom.append(results);
+
+  const popup = new Popup(dom, POPUP_TYPE.TEXT, null, {
+    okButton: i18n('popupClose'),
+    wide: true,
+    allowVerticalScrolling: true,
+  });
+  await popup.show();
 }
 
-function scheduleWorldbookManagerRefresh() {
-  if (worldbookManagerRefreshTimer) {
-    clearTimeout(worldbookManagerRefreshTimer);
+// ===== Report Export / Import =====
+const REPORT_FORMAT = 'world-info-suite-report';
+const REPORT_VERSION = 1;
+const REPORT_CSV_COLUMNS = ['messageId', 'swipeId', 'position', 'source', 'world', 'uid', 'name', 'status', 'depth', 'role', 'keys', 'secondaryKeys', 'truncated', 'content'];
+
+function collectReportMessages(scope, source) {
+  if (source.record) {
+    return [{ messageId: null, swipeId: null, name: '', record: source.record }];
   }
 
-  worldbookManagerRefreshTimer = setTimeout(() => {
-    worldbookManagerRefreshTimer = null;
-    refreshWorldbookManagerUI();
-  }, 80);
+  const messageIds = scope === 'chat'
+    ? chat.map((_message, messageId) => messageId)
+    : [Number(source.messageId)];
+
+  return messageIds
+    .map((messageId) => {
+      const swipeId = scope === 'chat' ? getMessageSwipeId(messageId) : source.swipeId;
+      const record = getViewerRecord(messageId, swipeId);
+      return record ? { messageId, swipeId, name: chat[messageId]?.name ?? '', record } : null;
+    })
+    .filter(Boolean);
 }
 
-function initWorldbookManager() {
-  const bindSelectObserver = () => {
-    const sel = document.querySelector('#world_editor_select');
-    if (!sel) return;
+function buildReport(messages) {
+  return {
+    format: REPORT_FORMAT,
+    version: REPORT_VERSION,
+    chatId: getCurrentChatId() ?? null,
+    exportedAt: new Date().toISOString(),
+    messages,
+  };
+}
 
-    if (worldbookSelectObserver) {
-      worldbookSelectObserver.disconnect();
+function flattenReportRows(report) {
+  return report.messages.flatMap((item) => retranslateWorldInfoData(item.record.groups).flatMap((group) => group.entries.map((entry) => ({
+    messageId: item.messageId ?? '',
+    swipeId: item.swipeId ?? '',
+    position: group.positionName,
+    source: entry.sourceName ?? '',
+    world: entry.worldName,
+    uid: entry.uid,
+    name: entry.entryName,
+    status: entry.statusName ?? '',
+    depth: entry.depth ?? '',
+    role: getRoleString(entry.role),
+    keys: entry.keys ?? '',
+    secondaryKeys: entry.secondaryKeys ?? '',
+    truncated: entry.budgetTruncated ? 'yes' : '',
+    content: entry.content ?? '',
+  }))));
+}
+
+function escapeCsvValue(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function reportToCsv(report) {
+  const lines = [REPORT_CSV_COLUMNS.join(',')];
+  flattenReportRows(report).forEach((row) => {
+    lines.push(REPORT_CSV_COLUMNS.map((column) => escapeCsvValue(row[column])).join(','));
+  });
+  return lines.join('\r\n');
+}
+
+// The fence has to be longer than any backtick run inside, or lore containing ``` would end it early
+function getMarkdownFence(text) {
+  const longestRun = Math.max(0, ...(text.match(/`+/g) ?? []).map((run) => run.length));
+  return '`'.repeat(Math.max(3, longestRun + 1));
+}
+
+function reportToMarkdown(report) {
+  const lines = [`# ${i18n('reportTitle')}`, '', `- ${i18n('reportChat')}: ${report.chatId ?? '-'}`, `- ${i18n('reportExportedAt')}: ${report.exportedAt}`, ''];
+
+  report.messages.forEach((item) => {
+    const heading = item.messageId == null
+      ? i18n('reportDetachedRecord')
+      : `${i18n('labelMessage')} #${item.messageId}${item.name ? ` (${item.name})` : ''}`;
+    lines.push(`## ${heading}`, '');
+    if (item.record.generationType) {
+      lines.push(`${i18n('labelGenerationType')} ${getGenerationTypeLabel(item.record.generationType)}`, '');
     }
 
-    worldbookSelectObserver = new MutationObserver(() => {
-      if (isApplyingWorldbookOptions) return;
-      if (Date.now() < worldbookMutationSuppressedUntil) return;
-      scheduleWorldbookManagerRefresh();
+    retranslateWorldInfoData(item.record.groups).forEach((group) => {
+      lines.push(`### ${group.positionEmoji} ${group.positionName}`, '');
+      group.entries.forEach((entry) => {
+        const tags = [entry.sourceName, entry.statusName, entry.roleDepthTag, entry.budgetTruncated ? `✂️ ${i18n('labelBudgetTruncated')}` : '']
+          .filter(Boolean)
+          .join(' · ');
+        lines.push(`#### ${entry.worldName} | ${entry.entryName} (uid ${entry.uid})`, '');
+        if (tags) lines.push(tags, '');
+        if (entry.keys) lines.push(`**${i18n('labelPrimaryKeys')}** ${entry.keys}`, '');
+        if (entry.secondaryKeys) lines.push(`**${i18n('labelSecondaryFilter')}** ${entry.selectiveLogicName ?? ''} ${entry.secondaryKeys}`, '');
+        const content = String(entry.content ?? '');
+        const fence = getMarkdownFence(content);
+        lines.push(fence, content, fence, '');
+      });
     });
+  });
 
-    worldbookSelectObserver.observe(sel, { childList: true });
-  };
+  return lines.join('\n');
+}
 
-  const trySetup = () => {
-    const ok = ensureWorldbookManagerControls();
-    if (!ok) return false;
+async function showReportExportDialog(source) {
+  const dom = document.createElement('div');
+  dom.classList.add('wis-report-dialog');
 
-    bindSelectObserver();
-    scheduleWorldbookManagerRefresh();
-    return true;
+  const title = document.createElement('h3');
+  title.textContent = i18n('reportExportTitle');
+  dom.append(title);
+
+  const createSelect = (labelKey, options) => {
+    const label = document.createElement('label');
+    label.classList.add('wis-diag-control');
+    const text = document.createElement('span');
+    text.textContent = i18n(labelKey);
+    const select = document.createElement('select');
+    select.classList.add('text_pole');
+    options.forEach(([value, key]) => select.append(new Option(i18n(key), value)));
+    label.append(text, select);
+    dom.append(label);
+    return select;
   };
 
-  if (!trySetup()) {
-    let retries = 0;
-    const retryTimer = setInterval(() => {
-      retries += 1;
+  const scopeSelect = createSelect('reportScopeLabel', source.record
+    ? [['message', 'reportScopeRecord']]
+    : [['message', 'reportScopeMessage'], ['chat', 'reportScopeChat']]);
+  const formatSelect = createSelect('reportFormatLabel', [['md', 'reportFormatMarkdown'], ['json', 'reportFormatJson'], ['csv', 'reportFormatCsv']]);
+
+  const result = await callGenericPopup(dom, POPUP_TYPE.CONFIRM, '', {
+    okButton: i18n('reportExportBtn'),
+    cancelButton: i18n('bulkEditCancel'),
+  });
+  if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+
+  const messages = collectReportMessages(scopeSelect.value, source);
+  if (messages.length === 0) {
+    toastr.info(i18n('noWorldInfoData'));
+    return;
+  }
+
+  const report = buildReport(messages);
+  const baseName = `world-info-report-${String(report.chatId ?? 'chat').replace(/[^\p{L}\p{N}_-]+/gu, '_')}`;
+  const suffix = scopeSelect.value === 'chat' || source.record ? '' : `-${source.messageId}`;
+
+  switch (formatSelect.value) {
+    case 'json':
+      download(JSON.stringify(report, null, 2), `${baseName}${suffix}.json`, 'application/json');
+      break;
+    case 'csv':
+      // BOM so spreadsheet apps detect UTF-8
+      download(`\uFEFF${reportToCsv(report)}`, `${baseName}${suffix}.csv`, 'text/csv');
+      break;
+    default:
+      download(reportToMarkdown(report), `${baseName}${suffix}.md`, 'text/markdown');
+      break;
+  }
+}
+
+function parseReport(text) {
+  const report = JSON.parse(text);
+  if (report?.format !== REPORT_FORMAT || !Array.isArray(report.messages)) {
+    throw new Error('Not a World Info Suite report');
+  }
+
+  report.messages = report.messages
+    .map((item) => ({ ...item, record: normalizeViewerRecord(item?.record) }))
+    .filter((item) => item.record);
+  return report;
+}
+
+async function showImportedReport(report) {
+  const label = i18n('reportImportedLabel');
+  if (report.messages.length === 1) {
+    await openViewerPopup({ record: report.messages[0].record, label, readOnly: true });
+    return;
+  }
+
+  const dom = document.createElement('div');
+  dom.classList.add('wis-session-log-dialog');
+
+  const title = document.createElement('h3');
+  title.textContent = i18n('reportTitle');
+  dom.append(title);
+
+  const hint = document.createElement('small');
+  hint.textContent = `${i18n('reportChat')}: ${report.chatId ?? '-'} · ${i18n('reportExportedAt')}: ${report.exportedAt ?? '-'}`;
+  dom.append(hint);
+
+  const list = document.createElement('div');
+  list.classList.add('wis-session-log-list');
+  dom.append(list);
+
+  report.messages.forEach((item) => {
+    const entryCount = item.record.groups.reduce((sum, group) => sum + group.entries.length, 0);
+
+    const row = document.createElement('div');
+    row.classList.add('wis-session-log-row');
+
+    const summary = document.createElement('span');
+    summary.classList.add('wis-session-log-summary');
+    const target = item.messageId == null ? i18n('reportDetachedRecord') : `${i18n('labelMessage')} #${item.messageId} ${item.name ?? ''}`;
+    summary.textContent = `${target} · ${i18n('sessionLogEntryCount', entryCount)}`;
+
+    const viewButton = document.createElement('div');
+    viewButton.classList.add('menu_button', 'menu_button_small', 'interactable');
+    viewButton.textContent = i18n('sessionLogView');
+    viewButton.addEventListener('click', () => openViewerPopup({ record: item.record, label, readOnly: true }));
+
+    row.append(summary, viewButton);
+    list.append(row);
+  });
+
+  const popup = new Popup(dom, POPUP_TYPE.TEXT, null, {
+    okButton: i18n('popupClose'),
+    wide: true,
+    allowVerticalScrolling: true,
+  });
+  await popup.show();
+}
+
+function openReportFile() {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.json,application/json';
+  input.addEventListener('change', async () => {
+    const file = input.files?.[0];
+    if (!file) return;
+
+    try {
+      const report = parseReport(await file.text());
+      if (report.messages.length === 0) {
+        toastr.info(i18n('noWorldInfoData'));
+        return;
+      }
+      await showImportedReport(report);
+    } catch (error) {
+      console.error(`[${extensionName}] Failed to open report:`, error);
+      toastr.error(i18n('reportImportFailed'));
+    }
+  });
+  input.click();
+}
+
+// ===== Entry Diagnostics =====
+const DIAGNOSTIC_STATUS = {
+  PASS: 'pass',
+  FAIL: 'fail',
+  WARN: 'warn',
+  INFO: 'info',
+};
+
+const DIAGNOSTIC_STATUS_EMOJI = {
+  [DIAGNOSTIC_STATUS.PASS]: '✅',
+  [DIAGNOSTIC_STATUS.FAIL]: '❌',
+  [DIAGNOSTIC_STATUS.WARN]: '⚠️',
+  [DIAGNOSTIC_STATUS.INFO]: 'ℹ️',
+};
+
+function findRecordedEntry(worldInfoData, worldName, uid) {
+  if (!Array.isArray(worldInfoData)) return null;
+
+  for (const group of worldInfoData) {
+    const found = group?.entries?.find((e) => e.worldName === worldName && String(e.uid) === String(uid));
+    if (found) return found;
+  }
+
+  return null;
+}
+
+function isExcludedByCharacterFilter(filter) {
+  if (!filter || typeof filter !== 'object') return false;
+
+  if (Array.isArray(filter.names) && filter.names.length > 0) {
+    const nameIncluded = filter.names.includes(getCharaFilename?.(this_chid));
+    if (filter.isExclude ? nameIncluded : !nameIncluded) return true;
+  }
+
+  if (Array.isArray(filter.tags) && filter.tags.length > 0) {
+    const avatar = characters?.[this_chid]?.avatar;
+    const characterTags = Array.isArray(tag_map?.[avatar]) ? tag_map[avatar] : [];
+    const includesTag = characterTags.some((tag) => filter.tags.includes(tag));
+    if (filter.isExclude ? includesTag : !includesTag) return true;
+  }
+
+  return false;
+}
+
+// Shared by every entry checked against the same point of the chat, so a whole book costs one lookup
+function createDiagnosticContext(scanEnd, draftText = '', activeBooks = getActiveWorldbookNames()) {
+  const messagesByDepth = new Map();
+  return {
+    activeBooks,
+    getMessages: (scanDepth) => {
+      if (!messagesByDepth.has(scanDepth)) messagesByDepth.set(scanDepth, getScanMessages(scanDepth, scanEnd, draftText));
+      return messagesByDepth.get(scanDepth);
+    },
+  };
+}
+
+// Re-evaluates an entry against the chat as it was before `messageId` and explains each condition
+// With preview set, the draft is scanned as the next message and no trigger record is consulted
+function diagnoseEntry(entry, worldName, messageId, { preview = false, draftText = '', context = null } = {}) {
+  const checks = [];
+  const addCheck = (status, label, detail = '') => checks.push({ status, label, detail });
+
+  const chatLength = chat?.length ?? 0;
+  const scanEnd = Math.max(0, Math.min(Number(messageId), chatLength));
+  const { activeBooks, getMessages } = context ?? createDiagnosticContext(scanEnd, draftText);
+
+  const bookActive = activeBooks.includes(worldName);
+  addCheck(
+    bookActive ? DIAGNOSTIC_STATUS.PASS : DIAGNOSTIC_STATUS.FAIL,
+    i18n('diagBookActive'),
+    bookActive ? worldName : i18n('diagBookInactive', worldName),
+  );
+
+  addCheck(
+    entry.disable ? DIAGNOSTIC_STATUS.FAIL : DIAGNOSTIC_STATUS.PASS,
+    i18n('diagEnabled'),
+    entry.disable ? i18n('diagEntryDisabled') : '',
+  );
+
+  const filter = entry.characterFilter;
+  if (filter && (filter.names?.length > 0 || filter.tags?.length > 0)) {
+    const excluded = isExcludedByCharacterFilter(filter);
+    addCheck(
+      excluded ? DIAGNOSTIC_STATUS.FAIL : DIAGNOSTIC_STATUS.PASS,
+      i18n('diagCharacterFilter'),
+      excluded ? i18n('diagCharacterFiltered', getCharaFilename?.(this_chid) || '?') : '',
+    );
+  }
+
+  if (Array.isArray(entry.triggers) && entry.triggers.length > 0) {
+    addCheck(DIAGNOSTIC_STATUS.INFO, i18n('diagTriggers'), i18n('diagTriggersDetail', entry.triggers.join(', ')));
+  }
+
+  if (entry.delay && scanEnd < Number(entry.delay)) {
+    addCheck(DIAGNOSTIC_STATUS.FAIL, i18n('diagDelay'), i18n('diagDelayDetail', entry.delay, scanEnd));
+  }
+
+  // Timed effects are only stored for the current chat state, older messages cannot be evaluated
+  let isSticky = false;
+  if (scanEnd >= chatLength - 1) {
+    const sticky = findTimedEffect('sticky', worldName, entry.uid);
+    const cooldown = findTimedEffect('cooldown', worldName, entry.uid);
+
+    if (sticky && scanEnd < Number(sticky.end)) {
+      isSticky = true;
+      addCheck(DIAGNOSTIC_STATUS.PASS, i18n('diagSticky'), i18n('diagStickyDetail', Number(sticky.end) - scanEnd));
+    }
+
+    if (!isSticky && cooldown && scanEnd < Number(cooldown.end)) {
+      addCheck(DIAGNOSTIC_STATUS.FAIL, i18n('diagCooldown'), i18n('diagCooldownDetail', Number(cooldown.end) - scanEnd));
+    }
+  }
+
+  if (entry.constant === true) {
+    addCheck(DIAGNOSTIC_STATUS.PASS, i18n('diagPrimaryKeys'), i18n('diagConstant'));
+  } else if (isSticky) {
+    addCheck(DIAGNOSTIC_STATUS.PASS, i18n('diagPrimaryKeys'), i18n('diagStickySkipsKeys'));
+  } else if (entry.vectorized === true) {
+    addCheck(DIAGNOSTIC_STATUS.INFO, i18n('diagPrimaryKeys'), i18n('diagVectorized'));
+  } else {
+    if (entry.delayUntilRecursion) {
+      addCheck(DIAGNOSTIC_STATUS.WARN, i18n('diagRecursion'), i18n('diagRecursionOnly'));
+    }
+
+    const scanDepth = entry.scanDepth ?? world_info_depth;
+    const messages = getMessages(scanDepth);
+    const keys = (Array.isArray(entry.key) ? entry.key : []).filter((key) => String(key ?? '').trim());
+
+    if (keys.length === 0) {
+      addCheck(DIAGNOSTIC_STATUS.FAIL, i18n('diagPrimaryKeys'), i18n('diagNoKeys'));
+    } else {
+      const matched = findKeyMatches(entry, keys, messages);
+      if (matched.length > 0) {
+        const found = matched.map((m) => `${m.key} (#${m.messageIndex})`).join(', ');
+        addCheck(DIAGNOSTIC_STATUS.PASS, i18n('diagPrimaryKeys'), i18n('diagKeysFound', found));
+      } else {
+        addCheck(DIAGNOSTIC_STATUS.FAIL, i18n('diagPrimaryKeys'), i18n('diagKeysNotFound', scanDepth, keys.join(', ')));
+      }
+
+      const secondaryKeys = (Array.isArray(entry.keysecondary) ? entry.keysecondary : []).filter((key) => String(key ?? '').trim());
+      if (matched.length > 0 && entry.selective !== false && secondaryKeys.length > 0) {
+        const logic = entry.selectiveLogic ?? world_info_logic.AND_ANY;
+        const secondaryMatched = findKeyMatches(entry, secondaryKeys, messages);
+        const passed = evaluateSecondaryLogic(logic, secondaryMatched.length, secondaryKeys.length);
+        const logicName = getSelectiveLogicInfo()[logic] ?? `${i18n('selectiveLogicUnknown')} (${logic})`;
+        addCheck(
+          passed ? DIAGNOSTIC_STATUS.PASS : DIAGNOSTIC_STATUS.FAIL,
+          i18n('diagSecondaryKeys'),
+          i18n('diagSecondaryDetail', logicName, secondaryMatched.length, secondaryKeys.length, secondaryMatched.map((m) => m.key).join(', ') || i18n('labelNone')),
+        );
+      }
+    }
+  }
+
+  if (entry.useProbability && Number(entry.probability ?? 100) < 100) {
+    addCheck(DIAGNOSTIC_STATUS.WARN, i18n('diagProbability'), i18n('diagProbabilityDetail', entry.probability));
+  }
+
+  if (entry.group) {
+    addCheck(DIAGNOSTIC_STATUS.INFO, i18n('diagGroup'), i18n('diagGroupDetail', entry.group));
+  }
+
+  const record = preview ? null : getViewerRecord(scanEnd);
+  const recorded = record ? findRecordedEntry(record.groups, worldName, entry.uid) : null;
+  const injected = Boolean(recorded) && !recorded.budgetTruncated;
+  const groupLoss = findInclusionGroupLoss(record, worldName, entry.uid);
+
+  // Budget is not simulated for drafts
+  if (preview) {
+    return { checks, verdict: null };
+  }
+
+  if (!record) {
+    addCheck(DIAGNOSTIC_STATUS.INFO, i18n('diagRecord'), i18n('diagNoRecord'));
+  } else if (recorded?.budgetTruncated) {
+    addCheck(DIAGNOSTIC_STATUS.FAIL, i18n('diagBudget'), i18n('diagBudgetTruncated'));
+  } else if (recorded) {
+    addCheck(DIAGNOSTIC_STATUS.PASS, i18n('diagRecord'), i18n('diagRecorded'));
+  } else if (groupLoss) {
+    addCheck(DIAGNOSTIC_STATUS.FAIL, i18n('diagGroup'), i18n('diagGroupLost', groupLoss.name, groupLoss.winnerName));
+  } else if (!checks.some((check) => check.status === DIAGNOSTIC_STATUS.FAIL)) {
+    addCheck(DIAGNOSTIC_STATUS.WARN, i18n('diagBudget'), i18n('diagBudgetDetail'));
+  }
+
+  const firstFailure = checks.find((check) => check.status === DIAGNOSTIC_STATUS.FAIL);
+
+  let verdict;
+  if (injected) {
+    verdict = { status: DIAGNOSTIC_STATUS.PASS, text: i18n('diagVerdictFired') };
+  } else if (firstFailure) {
+    verdict = { status: DIAGNOSTIC_STATUS.FAIL, text: i18n('diagVerdictFailed', firstFailure.label) };
+  } else {
+    verdict = { status: DIAGNOSTIC_STATUS.WARN, text: i18n('diagVerdictUnclear') };
+  }
+
+  return { checks, verdict };
+}
+
+function renderDiagnosticsResult(container, { checks, verdict }) {
+  container.innerHTML = '';
+
+  const verdictEl = document.createElement('div');
+  verdictEl.classList.add('wis-diag-verdict', `wis-diag-${verdict.status}`);
+  verdictEl.textContent = `${DIAGNOSTIC_STATUS_EMOJI[verdict.status]} ${verdict.text}`;
+  container.append(verdictEl);
+
+  checks.forEach((check) => {
+    const row = document.createElement('div');
+    row.classList.add('wis-diag-check', `wis-diag-${check.status}`);
+
+    const icon = document.createElement('span');
+    icon.classList.add('wis-diag-icon');
+    icon.textContent = DIAGNOSTIC_STATUS_EMOJI[check.status];
+
+    const body = document.createElement('div');
+    body.classList.add('wis-diag-body');
+    const label = document.createElement('b');
+    label.textContent = check.label;
+    body.append(label);
+
+    if (check.detail) {
+      const detail = document.createElement('small');
+      detail.textContent = check.detail;
+      body.append(detail);
+    }
+
+    row.append(icon, body);
+    container.append(row);
+  });
+}
+
+async function showEntryDiagnosticsDialog({ worldName = '', uid = null, messageId = null } = {}) {
+  const bookNames = getActiveWorldbookNames();
+  if (worldName && !bookNames.includes(worldName)) {
+    bookNames.push(worldName);
+  }
+
+  if (bookNames.length === 0) {
+    toastr.warning(i18n('diagNoBooks'));
+    return;
+  }
+
+  await refreshTimedEffectEntryIndex();
+
+  const dom = document.createElement('div');
+  dom.classList.add('wis-diag-dialog');
+
+  const title = document.createElement('h3');
+  title.textContent = i18n('diagTitle');
+  dom.append(title);
+
+  const controls = document.createElement('div');
+  controls.classList.add('wis-diag-controls');
+  dom.append(controls);
+
+  const createControl = (labelKey, control) => {
+    const label = document.createElement('label');
+    label.classList.add('wis-diag-control');
+    const text = document.createElement('span');
+    text.textContent = i18n(labelKey);
+    label.append(text, control);
+    controls.append(label);
+  };
+
+  const bookSelect = document.createElement('select');
+  bookSelect.classList.add('text_pole');
+  bookNames.forEach((bookName) => bookSelect.append(new Option(bookName, bookName)));
+  createControl('diagBookLabel', bookSelect);
+
+  const entrySelect = document.createElement('select');
+  entrySelect.classList.add('text_pole');
+  createControl('diagEntryLabel', entrySelect);
+
+  const chatLength = chat?.length ?? 0;
+  const messageSelect = document.createElement('select');
+  messageSelect.classList.add('text_pole');
+  messageSelect.append(new Option(i18n('diagNextMessage'), String(chatLength)));
+  for (let i = chatLength - 1; i >= 0; i--) {
+    const message = chat[i];
+    if (!message) continue;
+    const preview = String(message.mes ?? '').replace(/\s+/g, ' ').slice(0, 40);
+    messageSelect.append(new Option(`#${i} ${message.name ?? ''}: ${preview}`, String(i)));
+  }
+  createControl('diagMessageLabel', messageSelect);
+
+  const results = document.createElement('div');
+  results.classList.add('wis-diag-results');
+  dom.append(results);
+
+  let currentBook = null;
+
+  const loadBookEntries = async () => {
+    currentBook = await loadWorldInfo(bookSelect.value);
+    entrySelect.innerHTML = '';
+    Object.values(currentBook?.entries ?? {})
+      .sort((a, b) => Number(a.uid) - Number(b.uid))
+      .forEach((e) => entrySelect.append(new Option(`[${e.uid}] ${getEntryDisplayTitle(e)}`, String(e.uid))));
+  };
+
+  const runDiagnostics = () => {
+    const entry = currentBook?.entries?.[entrySelect.value];
+    if (!entry) {
+      results.textContent = i18n('diagNoEntry');
+      return;
+    }
+
+    renderDiagnosticsResult(results, diagnoseEntry(entry, bookSelect.value, Number(messageSelect.value)));
+  };
+
+  bookSelect.addEventListener('change', async () => {
+    await loadBookEntries();
+    runDiagnostics();
+  });
+  entrySelect.addEventListener('change', runDiagnostics);
+  messageSelect.addEventListener('change', runDiagnostics);
+
+  bookSelect.value = worldName || bookNames[0];
+  if (messageId !== null && messageId !== undefined && !Number.isNaN(Number(messageId))) {
+    messageSelect.value = String(messageId);
+  }
+  await loadBookEntries();
+  if (uid !== null && uid !== undefined) {
+    entrySelect.value = String(uid);
+  }
+  runDiagnostics();
+
+  const popup = new Popup(dom, POPUP_TYPE.TEXT, null, {
+    okButton: i18n('popupClose'),
+    wide: true,
+    allowVerticalScrolling: true,
+  });
+  await popup.show();
+}
+
+// State sync for triggered viewer
+let lastActivatedWorldInfo = null;
+let currentScanCapture = null;
+let lastGenerationType = null;
+let pendingImpersonationRecord = null;
+let pendingImpersonationText = null;
+let pendingImpersonationArmed = false;
+
+function clearPendingImpersonation() {
+  pendingImpersonationRecord = null;
+  pendingImpersonationText = null;
+  pendingImpersonationArmed = false;
+}
+
+// Impersonated text is sent by the next normal generation; any other generation means it was not used,
+// and the record must not attach to an unrelated message later on
+function expirePendingImpersonation(generationType) {
+  if (!pendingImpersonationRecord || generationType === 'quiet') return;
+  if (generationType === 'normal' && !pendingImpersonationArmed) {
+    pendingImpersonationArmed = true;
+    return;
+  }
+  clearPendingImpersonation();
+}
+
+// ===== Session Log =====
+// Every activation of this session, including quiet and impersonate generations that never produce a message
+
+const SESSION_LOG_LIMIT = 50;
+const viewerSessionLog = [];
+
+function addSessionLogItem(record) {
+  const item = {
+    record,
+    chatId: getCurrentChatId() ?? null,
+    messageId: null,
+  };
+  viewerSessionLog.unshift(item);
+  viewerSessionLog.splice(SESSION_LOG_LIMIT);
+  return item;
+}
+
+function linkSessionLogItem(record, messageId) {
+  const item = viewerSessionLog.find((logItem) => logItem.record === record);
+  if (item) item.messageId = messageId;
+}
+
+async function showSessionLogDialog() {
+  const dom = document.createElement('div');
+  dom.classList.add('wis-session-log-dialog');
+
+  const title = document.createElement('h3');
+  title.textContent = i18n('sessionLogTitle');
+  dom.append(title);
+
+  const hint = document.createElement('small');
+  hint.textContent = i18n('sessionLogHint', SESSION_LOG_LIMIT);
+  dom.append(hint);
+
+  const chatId = getCurrentChatId() ?? null;
+  const items = viewerSessionLog.filter((item) => item.chatId === chatId);
+
+  if (items.length === 0) {
+    const empty = document.createElement('p');
+    empty.classList.add('wis-session-log-empty');
+    empty.textContent = i18n('sessionLogEmpty');
+    dom.append(empty);
+  }
+
+  const list = document.createElement('div');
+  list.classList.add('wis-session-log-list');
+  dom.append(list);
+
+  items.forEach((item) => {
+    const entryCount = item.record.groups.reduce((sum, group) => sum + group.entries.length, 0);
+
+    const row = document.createElement('div');
+    row.classList.add('wis-session-log-row');
+
+    const time = document.createElement('span');
+    time.classList.add('wis-session-log-time');
+    time.textContent = new Date(item.record.capturedAt).toLocaleTimeString();
+
+    const type = document.createElement('span');
+    type.classList.add('wis-session-log-type');
+    type.textContent = getGenerationTypeLabel(item.record.generationType);
+
+    const summary = document.createElement('span');
+    summary.classList.add('wis-session-log-summary');
+    const target = item.messageId == null ? i18n('sessionLogNoMessage') : `${i18n('labelMessage')} #${item.messageId}`;
+    summary.textContent = `${i18n('sessionLogEntryCount', entryCount)} · ${target}`;
+
+    const viewButton = document.createElement('div');
+    viewButton.classList.add('menu_button', 'menu_button_small', 'interactable');
+    viewButton.textContent = i18n('sessionLogView');
+    viewButton.addEventListener('click', () => openViewerPopup({ record: item.record, label: i18n('sessionLogDetached') }));
+
+    row.append(time, type, summary, viewButton);
+    list.append(row);
+  });
+
+  const popup = new Popup(dom, POPUP_TYPE.TEXT, null, {
+    okButton: i18n('popupClose'),
+    wide: true,
+    allowVerticalScrolling: true,
+  });
+  await popup.show();
+}
+
+// ===== Activation Statistics =====
+// Activation counts per (worldbook, uid), aggregated across every chat of the current character or group
+
+const activationStatsStore = localforage.createInstance({ name: 'SillyTavern_WorldInfoSuite', storeName: 'activationStats' });
+const activationStatsCache = new Map();
+let activationStatsQueue = Promise.resolve();
+
+function getActivationStatsScope() {
+  if (selected_group) {
+    return { key: `group:${selected_group}`, label: groups?.find((group) => group.id === selected_group)?.name ?? selected_group };
+  }
+
+  const character = characters?.[this_chid];
+  if (character?.avatar) {
+    return { key: `char:${character.avatar}`, label: character.name };
+  }
+
+  return { key: 'none', label: i18n('statsNoCharacter') };
+}
+
+async function loadActivationStats(scopeKey = getActivationStatsScope().key) {
+  if (!activationStatsCache.has(scopeKey)) {
+    try {
+      const stored = await activationStatsStore.getItem(scopeKey);
+      activationStatsCache.set(scopeKey, stored?.entries ? stored : { entries: {} });
+    } catch (error) {
+      console.warn(`[${extensionName}] Failed to load activation statistics:`, error);
+      activationStatsCache.set(scopeKey, { entries: {} });
+    }
+  }
+  return activationStatsCache.get(scopeKey);
+}
+
+function recordActivationStats(activatedEntries) {
+  const scopeKey = getActivationStatsScope().key;
+  const firedAt = Date.now();
+
+  // Writes are chained so back-to-back generations do not overwrite each other
+  activationStatsQueue = activationStatsQueue.then(async () => {
+    const stats = await loadActivationStats(scopeKey);
+    activatedEntries.forEach((entry) => {
+      if (!entry?.world || entry.uid == null) return;
+      const key = getEntryIdentity(entry);
+      const current = stats.entries[key] ?? { world: entry.world, uid: entry.uid, count: 0, lastFired: 0 };
+      current.count += 1;
+      current.lastFired = firedAt;
+      stats.entries[key] = current;
+    });
+    await activationStatsStore.setItem(scopeKey, stats);
+  }).catch((error) => {
+    console.warn(`[${extensionName}] Failed to save activation statistics:`, error);
+  });
+
+  return activationStatsQueue;
+}
+
+function getEntryActivationStats(stats, worldName, uid) {
+  return stats?.entries?.[`${worldName}.${uid}`] ?? null;
+}
+
+function summarizeWorldActivationStats(stats, worldName) {
+  const summary = { activations: 0, firedEntries: 0, lastFired: 0 };
+  Object.values(stats?.entries ?? {}).forEach((item) => {
+    if (item.world !== worldName) return;
+    summary.activations += item.count;
+    summary.firedEntries += 1;
+    summary.lastFired = Math.max(summary.lastFired, item.lastFired);
+  });
+  return summary;
+}
+
+function formatActivationStats(item) {
+  if (!item?.count) return i18n('statsNeverFired');
+  return i18n('statsFiredSummary', item.count, new Date(item.lastFired).toLocaleString());
+}
+
+async function clearActivationStats() {
+  await activationStatsQueue;
+  activationStatsCache.clear();
+  await activationStatsStore.clear();
+}
+
+// ===== Activation Archive =====
+// Optional side store that keeps the records cleanupViewerCache removes from the chat file
+
+const viewerArchiveStore = localforage.createInstance({ name: 'SillyTavern_WorldInfoSuite', storeName: 'viewerArchive' });
+const DAY_MS = 24 * 60 * 60 * 1000;
+// sendDates maps `messageId:swipeId` to the send date of the message the record was archived from
+let viewerArchiveIndex = { chatId: null, sendDates: new Map() };
+
+function isViewerArchiveEnabled() {
+  return Boolean(extension_settings.worldInfoSuite?.viewerArchiveEnabled);
+}
+
+function getArchiveKey(chatId, messageId, swipeId) {
+  return `${chatId}::${messageId}:${swipeId}`;
+}
+
+async function compressViewerRecord(record) {
+  const stream = new Blob([JSON.stringify(record)]).stream().pipeThrough(new CompressionStream('gzip'));
+  return await new Response(stream).blob();
+}
+
+async function decompressViewerRecord(blob) {
+  const stream = blob.stream().pipeThrough(new DecompressionStream('gzip'));
+  return normalizeViewerRecord(JSON.parse(await new Response(stream).text()));
+}
+
+async function loadViewerArchiveIndex() {
+  const chatId = getCurrentChatId() ?? null;
+  const sendDates = new Map();
+
+  if (chatId && isViewerArchiveEnabled()) {
+    const prefix = `${chatId}::`;
+    await viewerArchiveStore.iterate((value, key) => {
+      if (key.startsWith(prefix)) sendDates.set(key.slice(prefix.length), value?.sendDate ?? null);
+    });
+  }
+
+  viewerArchiveIndex = { chatId, sendDates };
+}
+
+// Message indices shift when messages are deleted, the send date tells whether it is still the same message
+function isSameArchivedMessage(archivedSendDate, messageId) {
+  const sendDate = chat?.[messageId]?.send_date;
+  return !archivedSendDate || !sendDate || archivedSendDate === sendDate;
+}
+
+function hasArchivedRecord(messageId, swipeId = getMessageSwipeId(messageId)) {
+  const key = `${messageId}:${swipeId}`;
+  return viewerArchiveIndex.chatId === (getCurrentChatId() ?? null)
+    && viewerArchiveIndex.sendDates.has(key)
+    && isSameArchivedMessage(viewerArchiveIndex.sendDates.get(key), messageId);
+}
+
+async function loadArchivedRecord(messageId, swipeId = getMessageSwipeId(messageId)) {
+  const item = await viewerArchiveStore.getItem(getArchiveKey(getCurrentChatId(), messageId, swipeId));
+  if (!item?.data) return null;
+
+  if (!isSameArchivedMessage(item.sendDate, messageId)) return null;
+
+  return decompressViewerRecord(item.data);
+}
+
+// Must be called before the records are deleted from the message
+function collectArchivableRecords(messageId) {
+  return getRecordedSwipeIds(messageId).map((swipeId) => ({
+    messageId,
+    swipeId,
+    sendDate: chat[messageId]?.send_date ?? null,
+    record: getViewerRecord(messageId, swipeId),
+  })).filter((item) => item.record);
+}
+
+async function archiveViewerRecords(items) {
+  const chatId = getCurrentChatId();
+  if (!chatId || items.length === 0) return;
+
+  for (const item of items) {
+    const data = await compressViewerRecord(item.record);
+    await viewerArchiveStore.setItem(getArchiveKey(chatId, item.messageId, item.swipeId), {
+      chatId,
+      messageId: item.messageId,
+      swipeId: item.swipeId,
+      sendDate: item.sendDate,
+      archivedAt: Date.now(),
+      size: data.size,
+      data,
+    });
+    if (viewerArchiveIndex.chatId === chatId) {
+      viewerArchiveIndex.sendDates.set(`${item.messageId}:${item.swipeId}`, item.sendDate);
+    }
+  }
+
+  await applyViewerArchiveRetention();
+}
+
+async function applyViewerArchiveRetention() {
+  const maxAgeDays = Number(extension_settings.worldInfoSuite?.viewerArchiveMaxAgeDays) || 0;
+  const maxBytes = (Number(extension_settings.worldInfoSuite?.viewerArchiveMaxSizeMb) || 0) * 1024 * 1024;
+  if (maxAgeDays <= 0 && maxBytes <= 0) return;
+
+  const items = [];
+  await viewerArchiveStore.iterate((value, key) => {
+    items.push({ key, archivedAt: value?.archivedAt ?? 0, size: value?.size ?? 0 });
+  });
+
+  const now = Date.now();
+  const removals = new Set();
+  if (maxAgeDays > 0) {
+    items.filter((item) => now - item.archivedAt > maxAgeDays * DAY_MS).forEach((item) => removals.add(item.key));
+  }
+
+  if (maxBytes > 0) {
+    // Oldest records go first once the whole archive is over the size limit
+    const remaining = items.filter((item) => !removals.has(item.key)).sort((a, b) => a.archivedAt - b.archivedAt);
+    let totalSize = remaining.reduce((sum, item) => sum + item.size, 0);
+    for (const item of remaining) {
+      if (totalSize <= maxBytes) break;
+      removals.add(item.key);
+      totalSize -= item.size;
+    }
+  }
+
+  if (removals.size === 0) return;
+  await Promise.all([...removals].map((key) => viewerArchiveStore.removeItem(key)));
+  await loadViewerArchiveIndex();
+}
+
+async function clearViewerArchive() {
+  await viewerArchiveStore.clear();
+  viewerArchiveIndex = { chatId: getCurrentChatId() ?? null, sendDates: new Map() };
+}
+
+// ===== Live Draft Preview =====
+// Dry-run of the input box against the active books, using the same evaluator as the diagnostics
+
+const LIVE_PREVIEW_DEBOUNCE_MS = 600;
+let livePreviewOpen = false;
+// Debounced refreshes can still overlap while books load, only the latest one may render
+let livePreviewRequest = 0;
+
+function wouldEntryFire(entry, worldName, scanEnd, { context = null } = {}) {
+  // Vector matches and recursion-only entries cannot be predicted from text alone
+  if (entry.vectorized === true || entry.delayUntilRecursion) return false;
+  const { checks } = diagnoseEntry(entry, worldName, scanEnd, { preview: true, context });
+  return !checks.some((check) => check.status === DIAGNOSTIC_STATUS.FAIL);
+}
+
+async function evaluateDraftActivations(draftText) {
+  const scanEnd = chat?.length ?? 0;
+  const fired = [];
+  const draftOnly = new Set();
+
+  const activeBooks = getActiveWorldbookNames();
+  const draftContext = createDiagnosticContext(scanEnd, draftText, activeBooks);
+  const chatContext = createDiagnosticContext(scanEnd, '', activeBooks);
+
+  for (const worldName of activeBooks) {
+    const data = await loadWorldInfo(worldName);
+    Object.values(data?.entries ?? {}).forEach((entry) => {
+      if (!wouldEntryFire(entry, worldName, scanEnd, { context: draftContext })) return;
+
+      const entryRaw = { ...entry, world: worldName };
+      fired.push(entryRaw);
+      if (draftText && !wouldEntryFire(entry, worldName, scanEnd, { context: chatContext })) {
+        draftOnly.add(getEntryIdentity(entryRaw));
+      }
+    });
+  }
+
+  return { fired, draftOnly, scanEnd };
+}
+
+async function refreshLivePreview() {
+  const panel = document.getElementById('wis-live-preview');
+  if (!panel || !livePreviewOpen) return;
+
+  const request = ++livePreviewRequest;
+  const isStale = () => request !== livePreviewRequest || !livePreviewOpen;
+
+  const draftText = String($('#send_textarea').val() ?? '').trim();
+  const { fired, draftOnly, scanEnd } = await evaluateDraftActivations(draftText);
+  if (isStale()) return;
+  const record = { groups: processWorldInfoData(fired, { scanEnd, draftText }), budget: null, tokenTotal: null };
+  await annotateTokenCounts(record);
+  if (isStale()) return;
+
+  record.groups.forEach((group) => group.entries.forEach((entry) => {
+    entry.previewNew = draftOnly.has(`${entry.worldName}.${entry.uid}`);
+  }));
+
+  const summary = panel.querySelector('.wis-live-preview-summary');
+  summary.textContent = i18n('previewSummary', draftOnly.size, fired.length - draftOnly.size, scanEnd);
+
+  const body = panel.querySelector('.wis-live-preview-body');
+  const translatedData = retranslateWorldInfoData(record.groups);
+  const html = await renderExtensionTemplateAsync(extensionName, 'popup', {
+    positions: translatedData,
+    filters: buildViewerFilterOptions(translatedData),
+    compact: true,
+    preview: true,
+    draftPreview: true,
+    i18n: localeData,
+  });
+  if (isStale()) return;
+  body.innerHTML = html;
+  bindViewerPopupActions(body, { messageId: null, swipeId: null, record, showSwipe: () => {} });
+  bindViewerFilterBar(body);
+}
+
+const refreshLivePreviewDebounced = debounce(() => {
+  refreshLivePreview().catch((error) => {
+    console.error(`[${extensionName}] Failed to refresh live preview:`, error);
+  });
+}, LIVE_PREVIEW_DEBOUNCE_MS);
+
+function ensureLivePreviewPanel() {
+  let panel = document.getElementById('wis-live-preview');
+  if (panel) return panel;
+
+  panel = document.createElement('div');
+  panel.id = 'wis-live-preview';
+  panel.classList.add('wis-live-preview');
+
+  const header = document.createElement('div');
+  header.classList.add('wis-live-preview-header');
+
+  const title = document.createElement('strong');
+  title.textContent = i18n('previewTitle');
+
+  const summary = document.createElement('small');
+  summary.classList.add('wis-live-preview-summary');
+
+  const closeButton = document.createElement('div');
+  closeButton.classList.add('menu_button', 'menu_button_small', 'interactable', 'fa-solid', 'fa-xmark');
+  closeButton.title = i18n('popupClose');
+  closeButton.addEventListener('click', () => toggleLivePreview(false));
+
+  header.append(title, summary, closeButton);
+
+  const body = document.createElement('div');
+  body.classList.add('wis-live-preview-body');
+
+  panel.append(header, body);
+  document.getElementById('send_form')?.before(panel);
+  return panel;
+}
+
+function toggleLivePreview(open = !livePreviewOpen) {
+  livePreviewOpen = open && Boolean(extension_settings.worldInfoSuite?.enableTriggeredViewer);
+  if (!livePreviewOpen) {
+    document.getElementById('wis-live-preview')?.remove();
+    return;
+  }
+
+  ensureLivePreviewPanel();
+  refreshLivePreviewDebounced();
+}
+
+// The preview is part of the triggered viewer, so its menu item follows that setting
+function updateLivePreviewMenuItem() {
+  const enabled = Boolean(extension_settings.worldInfoSuite?.enableTriggeredViewer);
+  $('#wis-live-preview-menu').toggle(enabled);
+  if (!enabled && livePreviewOpen) toggleLivePreview(false);
+}
+
+function initLivePreview() {
+  const menuItem = document.createElement('div');
+  menuItem.id = 'wis-live-preview-menu';
+  menuItem.classList.add('list-group-item', 'flex-container', 'flexGap5', 'interactable');
+  menuItem.title = i18n('previewMenuTitle');
+
+  const icon = document.createElement('div');
+  icon.classList.add('fa-solid', 'fa-eye', 'extensionsMenuExtensionButton');
+  const label = document.createElement('span');
+  label.textContent = i18n('previewTitle');
+  menuItem.append(icon, label);
+  menuItem.addEventListener('click', () => toggleLivePreview());
+  document.getElementById('extensionsMenu')?.append(menuItem);
+  updateLivePreviewMenuItem();
+
+  $(document).on('input', '#send_textarea', () => {
+    if (livePreviewOpen) refreshLivePreviewDebounced();
+  });
+
+  eventSource.on(event_types.CHAT_CHANGED, () => {
+    if (livePreviewOpen) refreshLivePreviewDebounced();
+  });
+  eventSource.on(event_types.MESSAGE_SENT, () => {
+    if (livePreviewOpen) refreshLivePreviewDebounced();
+  });
+}
+
+// ===== Live HUD =====
+const HUD_DOCK_SIDES = ['right', 'left'];
+let viewerHudRecord = null;
+
+function findLatestViewerRecord() {
+  if (!Array.isArray(chat)) return null;
+  for (let messageId = chat.length - 1; messageId >= 0; messageId--) {
+    const record = getViewerRecord(messageId);
+    if (record) return record;
+  }
+  return null;
+}
+
+function applyViewerHudLayout() {
+  const hud = document.getElementById('wis-hud');
+  if (!hud) return;
+
+  const settings = extension_settings.worldInfoSuite;
+  const mobile = isMobileDevice();
+  hud.classList.toggle('wis-hud-mobile', mobile);
+  hud.setAttribute('data-dock', HUD_DOCK_SIDES.includes(settings.viewerHudDock) ? settings.viewerHudDock : 'right');
+  // Mobile widths always span the screen, only the height is configurable there
+  hud.style.width = mobile ? '' : `${settings.viewerHudWidth}px`;
+  hud.style.height = `${settings.viewerHudHeight}vh`;
+}
+
+function ensureViewerHud() {
+  let hud = document.getElementById('wis-hud');
+  if (hud) return hud;
+
+  hud = document.createElement('div');
+  hud.id = 'wis-hud';
+  hud.classList.add('wis-hud');
+
+  const header = document.createElement('div');
+  header.classList.add('wis-hud-header');
+
+  const title = document.createElement('strong');
+  title.textContent = i18n('hudTitle');
+
+  const summary = document.createElement('small');
+  summary.classList.add('wis-hud-summary');
+
+  const collapseButton = document.createElement('div');
+  collapseButton.classList.add('menu_button', 'menu_button_small', 'interactable', 'fa-solid', 'fa-chevron-up');
+  collapseButton.title = i18n('hudCollapse');
+  collapseButton.addEventListener('click', () => {
+    const collapsed = hud.classList.toggle('wis-hud-collapsed');
+    collapseButton.classList.toggle('fa-chevron-up', !collapsed);
+    collapseButton.classList.toggle('fa-chevron-down', collapsed);
+  });
+
+  const closeButton = document.createElement('div');
+  closeButton.classList.add('menu_button', 'menu_button_small', 'interactable', 'fa-solid', 'fa-xmark');
+  closeButton.title = i18n('popupClose');
+  closeButton.addEventListener('click', () => {
+    setViewerHudEnabled(false);
+    $('#wis_viewer_hud_enabled').prop('checked', false);
+  });
+
+  header.append(title, summary, collapseButton, closeButton);
+
+  const body = document.createElement('div');
+  body.classList.add('wis-hud-body');
+
+  hud.append(header, body);
+  document.body.append(hud);
+  applyViewerHudLayout();
+  return hud;
+}
+
+async function renderViewerHud() {
+  const hud = document.getElementById('wis-hud');
+  if (!hud) return;
+
+  const summary = hud.querySelector('.wis-hud-summary');
+  const body = hud.querySelector('.wis-hud-body');
+  const record = viewerHudRecord;
+
+  if (!record) {
+    summary.textContent = i18n('hudEmpty');
+    body.innerHTML = '';
+    return;
+  }
+
+  const translatedData = retranslateWorldInfoData(record.groups);
+  const entryCount = translatedData.reduce((count, group) => count + group.entries.length, 0);
+  summary.textContent = i18n(
+    'hudSummary',
+    entryCount,
+    getGenerationTypeLabel(record.generationType),
+    new Date(record.capturedAt ?? Date.now()).toLocaleTimeString(),
+  );
+
+  body.innerHTML = await renderExtensionTemplateAsync(extensionName, 'popup', {
+    positions: translatedData,
+    filters: buildViewerFilterOptions(translatedData),
+    compact: true,
+    preview: true,
+    stats: record.tokenTotal == null ? null : buildViewerStats(record),
+    i18n: localeData,
+  });
+  bindViewerPopupActions(body, { messageId: null, swipeId: null, record, showSwipe: () => {} });
+  bindViewerFilterBar(body);
+}
+
+function updateViewerHud(record) {
+  viewerHudRecord = record;
+  renderViewerHud().catch((error) => {
+    console.error(`[${extensionName}] Failed to render World Info HUD:`, error);
+  });
+}
+
+function setViewerHudEnabled(enabled) {
+  extension_settings.worldInfoSuite.viewerHudEnabled = enabled;
+  saveSettingsDebounced();
+
+  if (!enabled || !extension_settings.worldInfoSuite.enableTriggeredViewer) {
+    document.getElementById('wis-hud')?.remove();
+    return;
+  }
+
+  ensureViewerHud();
+  updateViewerHud(viewerHudRecord ?? findLatestViewerRecord());
+}
+
+function initViewerHud() {
+  window.addEventListener('resize', debounce(applyViewerHudLayout, 200));
+
+  eventSource.on(event_types.CHAT_CHANGED, () => {
+    viewerHudRecord = null;
+    if (!document.getElementById('wis-hud')) return;
+    // Records are read from the chat, which is populated after the event
+    setTimeout(() => updateViewerHud(findLatestViewerRecord()), 500);
+  });
+
+  const settings = extension_settings.worldInfoSuite;
+  if (settings.viewerHudEnabled && settings.enableTriggeredViewer) {
+    ensureViewerHud();
+    updateViewerHud(findLatestViewerRecord());
+  }
+}
+
+// Clean up old World Info viewer data to limit cache size
+function cleanupViewerCache() {
+  if (!chat || !Array.isArray(chat)) return;
+  
+  const limit = extension_settings.worldInfoSuite?.viewerCacheLimit ?? 10;
+  if (limit <= 0) return; // 0 means unlimited
+  
+  // Find all messages with triggered entries
+  const messagesWithData = [];
+  for (let i = 0; i < chat.length; i++) {
+    if (messageHasTriggeredEntries(chat[i])) {
+      messagesWithData.push(i);
+    }
+  }
+  
+  // Remove data from older messages beyond the limit, empty records before the oldest kept one included
+  if (messagesWithData.length > limit) {
+    const oldestKept = messagesWithData[messagesWithData.length - limit];
+    const toRemove = [];
+    for (let i = 0; i < oldestKept; i++) {
+      if (messageHasViewerRecords(chat[i])) toRemove.push(i);
+    }
+    const archivable = isViewerArchiveEnabled() ? toRemove.flatMap(collectArchivableRecords) : [];
+    for (const idx of toRemove) {
+      deleteMessageViewerRecords(chat[idx]);
+    }
+
+    archiveViewerRecords(archivable).catch((error) => {
+      console.warn(`[${extensionName}] Failed to archive World Info records:`, error);
+    });
+  }
+}
+
+// Clear all World Info viewer cache from current chat
+function clearAllViewerCache() {
+  if (!chat || !Array.isArray(chat)) return 0;
+  
+  let count = 0;
+  for (let i = 0; i < chat.length; i++) {
+    if (messageHasViewerRecords(chat[i])) {
+      deleteMessageViewerRecords(chat[i]);
+      count++;
+    }
+  }
+  
+  // Remove viewer buttons from UI
+  document.querySelectorAll('.worldinfo-viewer-btn').forEach(btn => btn.remove());
+  
+  return count;
+}
+
+function initTriggeredViewer() {
+  eventSource.on(event_types.GENERATION_STARTED, (type, _options, dryRun) => {
+    if (dryRun) {
+      currentScanCapture = null;
+      return;
+    }
+
+    lastGenerationType = type || 'normal';
+    currentScanCapture = createScanCapture(type);
+    expirePendingImpersonation(lastGenerationType);
+  });
+
+  // Not available on older SillyTavern versions; budget truncation is simply not detected there
+  if (event_types.WORLDINFO_SCAN_DONE) {
+    eventSource.on(event_types.WORLDINFO_SCAN_DONE, (args) => {
+      if (!extension_settings.worldInfoSuite?.enableTriggeredViewer) return;
+      recordScanLoop(currentScanCapture, args);
+    });
+  }
+
+  eventSource.on(event_types.WORLD_INFO_ACTIVATED, (data) => {
+    if (!extension_settings.worldInfoSuite?.enableTriggeredViewer) return;
+    const generationType = currentScanCapture?.generationType || 'normal';
+
+    if (data && Array.isArray(data) && data.length > 0) {
+      const record = buildViewerRecord(data, currentScanCapture);
+      addSessionLogItem(record);
+      recordActivationStats(data);
+      // Counted in the background so the generation is not held up by the tokenizer
+      annotateTokenCounts(record).catch((error) => {
+        console.warn(`[${extensionName}] Failed to count World Info tokens:`, error);
+      }).then(() => updateViewerHud(record));
+
+      // Quiet generations never produce a message, impersonations wait for the user to send the text
+      if (generationType === 'impersonate') {
+        clearPendingImpersonation();
+        pendingImpersonationRecord = record;
+      } else if (generationType !== 'quiet') {
+        lastActivatedWorldInfo = record;
+      }
+    } else {
+      // Kept as an empty record so the message can show that nothing fired
+      const record = buildViewerRecord([], currentScanCapture);
+      record.tokenTotal = 0;
+      updateViewerHud(record);
+      if (generationType === 'impersonate') {
+        clearPendingImpersonation();
+      } else if (generationType !== 'quiet') {
+        lastActivatedWorldInfo = record;
+      }
+    }
+    currentScanCapture = null;
+  });
+
+  eventSource.on(event_types.MESSAGE_RECEIVED, (messageId) => {
+    // The generation that could have sent the impersonated text is over
+    if (pendingImpersonationArmed) clearPendingImpersonation();
+    if (!extension_settings.worldInfoSuite?.enableTriggeredViewer) return;
+    if (!chat?.[messageId]) return;
+
+    if (lastActivatedWorldInfo) {
+      const original = lastActivatedWorldInfo.generationType === 'continue' ? getViewerRecord(messageId) : null;
+      setViewerRecord(messageId, original ? mergeContinueRecord(original, lastActivatedWorldInfo) : lastActivatedWorldInfo);
+      linkSessionLogItem(lastActivatedWorldInfo, messageId);
+      lastActivatedWorldInfo = null;
+      
+      // Clean up old cache after adding new data
+      cleanupViewerCache();
+      // Continue updates a message that is already rendered
+      refreshViewButton(messageId);
+    } else if (lastGenerationType === 'swipe') {
+      // A new swipe starts with a copy of the previous swipe's extra, drop its stale record
+      setViewerRecord(messageId, null);
+    }
+    lastGenerationType = null;
+  });
+
+  eventSource.on(event_types.MESSAGE_SENT, (messageId) => {
+    if (!extension_settings.worldInfoSuite?.enableTriggeredViewer) return;
+    if (!pendingImpersonationRecord || !chat?.[messageId]?.is_user) return;
+
+    // The impersonated text may have been discarded or rewritten before this message was sent
+    const sentText = String(chat[messageId].mes ?? '').trim();
+    const impersonatedText = String(pendingImpersonationText ?? '').trim();
+    if (event_types.IMPERSONATE_READY && sentText !== impersonatedText) {
+      clearPendingImpersonation();
+      return;
+    }
+
+    setViewerRecord(messageId, pendingImpersonationRecord);
+    linkSessionLogItem(pendingImpersonationRecord, messageId);
+    clearPendingImpersonation();
+    cleanupViewerCache();
+  });
+
+  // Older SillyTavern versions do not report the impersonated text, there the record only goes to the next send
+  if (event_types.IMPERSONATE_READY) {
+    eventSource.on(event_types.IMPERSONATE_READY, (text) => {
+      pendingImpersonationText = text;
+    });
+  }
+
+  eventSource.on(event_types.MESSAGE_SWIPED, (messageId) => {
+    refreshViewButton(messageId);
+  });
+
+  eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, (messageId) => {
+    addViewButtonToMessage(String(messageId));
+  });
+
+  eventSource.on(event_types.USER_MESSAGE_RENDERED, (messageId) => {
+    addViewButtonToMessage(String(messageId));
+  });
+
+  eventSource.on(event_types.CHAT_CHANGED, () => {
+    clearPendingImpersonation();
+    refreshTimedEffectEntryIndex();
+    const archiveIndexReady = loadViewerArchiveIndex().catch((error) => {
+      console.warn(`[${extensionName}] Failed to load World Info archive:`, error);
+    });
+    setTimeout(async () => {
+      await archiveIndexReady;
+      refreshAllViewButtons();
+    }, 500);
+  });
+}
+
+// ============================================================
+// FEATURE 2: Character Lorebook Quick Access
+// ============================================================
+
+function isMobileDevice() {
+  return window.innerWidth <= 768;
+}
+
+function shouldShowGlobalLorebooks() {
+  const settings = extension_settings.worldInfoSuite;
+  if (isMobileDevice()) {
+    return settings?.showGlobalLorebookMobile ?? true;
+  }
+  return settings?.showGlobalLorebookDesktop ?? true;
+}
+
+function getCharacterWorldBooks(chid) {
+  const books = [];
+  const character = characters?.[chid];
+
+  if (!character) return books;
+
+  // Primary Lorebook
+  const primaryWorld = character?.data?.extensions?.world;
+  if (primaryWorld && world_names?.includes(primaryWorld)) {
+    books.push({ name: primaryWorld, type: 'primary' });
+  }
+
+  // Additional Lorebooks
+  const fileName = getCharaFilename?.(chid);
+  const extraCharLore = world_info?.charLore?.find?.((e) => e.name === fileName);
+  if (extraCharLore && Array.isArray(extraCharLore.extraBooks)) {
+    extraCharLore.extraBooks.forEach((bookName) => {
+      if (bookName && world_names?.includes(bookName)) {
+        books.push({ name: bookName, type: 'additional' });
+      }
+    });
+  }
+
+  // Chat Lorebook
+  const chatLoreName = chat_metadata?.[METADATA_KEY];
+  if (chatLoreName && world_names?.includes(chatLoreName)) {
+    books.push({ name: chatLoreName, type: 'chat' });
+  }
+
+  // Global Lorebooks (always at the end)
+  if (shouldShowGlobalLorebooks() && Array.isArray(selected_world_info)) {
+    selected_world_info.forEach((worldName) => {
+      if (worldName && world_names?.includes(worldName)) {
+        books.push({ name: worldName, type: 'global' });
+      }
+    });
+  }
+
+  return books;
+}
+
+function createCharacterWorldBooksHTML(books) {
+  if (books.length === 0) {
+    return `
+      <div id="char-worldbooks-panel" class="char-worldbooks-panel">
+        <div class="char-worldbooks-header">
+          <span class="fa-solid fa-globe"></span>
+          <span data-i18n="charWorldbooksPanel">${i18n('charWorldbooksPanel')}</span>
+        </div>
+        <div class="char-worldbooks-empty" data-i18n="charWorldbooksEmpty">
+          ${i18n('charWorldbooksEmpty')}
+        </div>
+      </div>
+    `;
+  }
+
+  const bookItems = books.map((book) => {
+    let typeLabel, typeClass;
+    if (book.type === 'primary') {
+      typeLabel = i18n('charWorldbookTypePrimary');
+      typeClass = 'primary';
+    } else if (book.type === 'chat') {
+      typeLabel = i18n('charWorldbookTypeChat');
+      typeClass = 'chat';
+    } else if (book.type === 'global') {
+      typeLabel = i18n('charWorldbookTypeGlobal');
+      typeClass = 'global';
+    } else {
+      typeLabel = i18n('charWorldbookTypeAdditional');
+      typeClass = 'additional';
+    }
+    return `
+      <div class="char-worldbook-item" data-world-name="${book.name}">
+        <span class="char-worldbook-type ${typeClass}">${typeLabel}</span>
+        <span class="char-worldbook-name">${book.name}</span>
+        <span class="char-worldbook-goto fa-solid fa-arrow-up-right-from-square" title="${i18n('charWorldbookGotoTitle')}"></span>
+      </div>
+    `;
+  }).join('');
+
+  return `
+    <div id="char-worldbooks-panel" class="char-worldbooks-panel">
+      <div class="char-worldbooks-header">
+        <span class="fa-solid fa-globe"></span>
+        <span data-i18n="charWorldbooksPanel">${i18n('charWorldbooksPanel')}</span>
+      </div>
+      <div class="char-worldbooks-list">
+        ${bookItems}
+      </div>
+    </div>
+  `;
+}
+
+function updateCharacterWorldBooksPanel(chid) {
+  if (!extension_settings.worldInfoSuite?.enableCharLorebook) return;
+
+  $('#char-worldbooks-panel').remove();
+
+  const books = getCharacterWorldBooks(chid);
+  const panelHTML = createCharacterWorldBooksHTML(books);
+
+  const dropdownLabel = $('#char-management-dropdown').closest('label');
+  if (dropdownLabel.length) {
+    dropdownLabel.after(panelHTML);
+  } else {
+    $('#avatar_controls').append(panelHTML);
+  }
+
+  $('.char-worldbook-item').on('click', function () {
+    const worldName = $(this).data('world-name');
+    if (worldName && typeof openWorldInfoEditor === 'function') {
+      openWorldInfoEditor(worldName);
+    }
+  });
+}
+
+function hideCharacterWorldBooksPanel() {
+  $('#char-worldbooks-panel').remove();
+}
+
+function initCharLorebookQuickAccess() {
+  // Store the currently opened chid for use in other event handlers
+  let currentEditorChid = null;
+
+  eventSource.on(event_types.CHARACTER_EDITOR_OPENED, (chid) => {
+    currentEditorChid = chid;
+    if (extension_settings.worldInfoSuite?.enableCharLorebook) {
+      updateCharacterWorldBooksPanel(chid);
+    }
+  });
+
+  eventSource.on(event_types.CHARACTER_EDITED, (data) => {
+    const chid = data?.detail?.id;
+    if (chid !== undefined && $('#char-worldbooks-panel').length) {
+      currentEditorChid = chid;
+      if (extension_settings.worldInfoSuite?.enableCharLorebook) {
+        updateCharacterWorldBooksPanel(chid);
+      }
+    }
+  });
+
+  // Listen for World Info settings updates (when lorebooks are bound/unbound)
+  eventSource.on(event_types.WORLDINFO_SETTINGS_UPDATED, () => {
+    if (currentEditorChid !== null && $('#char-worldbooks-panel').length) {
+      if (extension_settings.worldInfoSuite?.enableCharLorebook) {
+        updateCharacterWorldBooksPanel(currentEditorChid);
+      }
+    }
+  });
+
+  // Listen for chat changed event to update chat lorebook
+  eventSource.on(event_types.CHAT_CHANGED, () => {
+    if (currentEditorChid !== null && $('#char-worldbooks-panel').length) {
+      if (extension_settings.worldInfoSuite?.enableCharLorebook) {
+        updateCharacterWorldBooksPanel(currentEditorChid);
+      }
+    }
+  });
+
+  // Use MutationObserver to detect popup close events for world info binding changes
+  // This is needed because ST doesn't emit events when auxiliary lorebooks are changed
+  const popupObserver = new MutationObserver((mutations) => {
+    for (const mutation of mutations) {
+      // Check for removed popup dialogs
+      for (const node of mutation.removedNodes) {
+        if (node instanceof HTMLElement && node.classList?.contains('popup')) {
+          // A popup was closed, check if we need to update the panel
+          if (currentEditorChid !== null && $('#char-worldbooks-panel').length) {
+            if (extension_settings.worldInfoSuite?.enableCharLorebook) {
+              // Small delay to ensure settings are saved
+              setTimeout(() => {
+                updateCharacterWorldBooksPanel(currentEditorChid);
+              }, 100);
+            }
+          }
+        }
+      }
+    }
+  });
+
+  // Observe the document body for popup removals
+  popupObserver.observe(document.body, { childList: true });
+}
+
+// ============================================================
+// FEATURE 3: Worldbook Sort & Keyword Manager
+// ============================================================
+
+function renderWorldbookQuickTagBar(select2Container = null) {
+  const sel = /** @type {HTMLSelectElement | null} */ (document.querySelector('#world_editor_select'));
+  if (!sel) return;
+
+  const container = select2Container || sel.nextElementSibling;
+  if (!(container instanceof HTMLElement) || !container.classList.contains('select2')) return;
+
+  const controlRow = container.closest('.flex-container.alignitemscenter');
+  const host = container.parentElement || container;
+  let tagBar = document.querySelector('.wis-worldbook-tag-bar');
+  if (!tagBar) {
+    tagBar = document.createElement('div');
+    tagBar.classList.add('wis-worldbook-tag-bar');
+  }
+
+  if (controlRow instanceof HTMLElement) {
+    if (tagBar.previousElementSibling !== controlRow || tagBar.parentElement !== controlRow.parentElement) {
+      controlRow.insertAdjacentElement('afterend', tagBar);
+    }
+  } else if (tagBar.parentElement !== host) {
+    container.insertAdjacentElement('afterend', tagBar);
+  }
+
+  if (!extension_settings.worldInfoSuite?.enableWorldbookManager) {
+    tagBar.innerHTML = '';
+    tagBar.style.display = 'none';
+    return;
+  }
+
+  const settings = getWorldbookManagerSettings();
+  const tags = getAllConfiguredWorldbookTagsInternal(settings);
+
+  if (tags.length === 0) {
+    tagBar.innerHTML = '';
+    tagBar.style.display = 'none';
+    return;
+  }
+
+  tagBar.style.display = 'flex';
+  tagBar.innerHTML = '';
+
+  const label = document.createElement('span');
+  label.classList.add('wis-worldbook-tag-label');
+  label.textContent = i18n('worldManagerQuickFilterLabel');
+  tagBar.append(label);
+
+  const activeTagToken = normalizeKeywordToken(settings.activeTagFilter);
+
+  const makeChip = (displayText, tagValue, isActive) => {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.classList.add('menu_button', 'menu_button_small', 'interactable', 'wis-worldbook-tag-chip');
+    if (isActive) {
+      chip.classList.add('active');
+    }
+    chip.textContent = displayText;
+    chip.addEventListener('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      const latest = getWorldbookManagerSettings();
+      const isSameTag = normalizeKeywordToken(latest.activeTagFilter) === normalizeKeywordToken(tagValue);
+      latest.activeTagFilter = isSameTag ? '' : tagValue;
+      saveSettingsDebounced();
+      applyWorldbookManagerToEditorSelect();
+      renderWorldbookQuickTagBar(container);
+    });
+    tagBar.append(chip);
+  };
+
+  makeChip(i18n('worldManagerQuickFilterAll'), '', activeTagToken === '');
+
+  tags.forEach((tag) => {
+    const token = normalizeKeywordToken(tag);
+    makeChip(tag, tag, token === activeTagToken);
+  });
+}
+
+function ensureWorldbookManagerControls() {
+  const sel = /** @type {HTMLSelectElement | null} */ (document.querySelector('#world_editor_select'));
+  if (!sel) return false;
+
+  const select2Container = sel.nextElementSibling;
+  if (!(select2Container instanceof HTMLElement) || !select2Container.classList.contains('select2')) {
+    return false;
+  }
+
+  select2Container.classList.add('wis-worldbook-select2');
+
+  const row = select2Container.parentElement;
+  if (!(row instanceof HTMLElement)) {
+    return false;
+  }
+
+  let manageBtn = row.querySelector('.wis-worldbook-manage-btn');
+  if (!(manageBtn instanceof HTMLElement)) {
+    manageBtn = document.createElement('div');
+    manageBtn.classList.add('menu_button', 'fa-solid', 'fa-arrow-down-a-z', 'interactable', 'wis-worldbook-manage-btn');
+    manageBtn.setAttribute('role', 'button');
+    manageBtn.tabIndex = 0;
+
+    const openManager = (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+
+      if (!extension_settings.worldInfoSuite?.enableWorldbookManager) {
+        toastr.warning(i18n('worldManagerDisabled'));
+        return;
+      }
+
+      showWorldbookManagerDialog();
+    };
+
+    manageBtn.addEventListener('click', openManager);
+    manageBtn.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' || event.key === ' ') {
+        openManager(event);
+      }
+    });
+  }
+
+  if (manageBtn.parentElement !== row || manageBtn.nextElementSibling !== select2Container) {
+    row.insertBefore(manageBtn, select2Container);
+  }
+
+  manageBtn.title = i18n('worldManagerBtnTitle');
+  manageBtn.setAttribute('aria-label', i18n('worldManagerBtnTitle'));
+  manageBtn.style.display = extension_settings.worldInfoSuite?.enableWorldbookManager ? '' : 'none';
+
+  renderWorldbookQuickTagBar(select2Container);
+  return true;
+}
+
+async function showWorldbookManagerDialog() {
+  if (!Array.isArray(world_names) || world_names.length === 0) {
+    toastr.warning(i18n('worldManagerNoWorlds'));
+    return;
+  }
+
+  const settings = getWorldbookManagerSettings();
+  const names = [...world_names];
+  const customOrder = getWorldbookCustomOrder(names, settings);
+  const activationStats = await loadActivationStats();
+
+  const dom = document.createElement('div');
+  dom.classList.add('wis-worldbook-manager-dialog');
+
+  const title = document.createElement('h3');
+  title.textContent = i18n('worldManagerPopupTitle');
+  dom.append(title);
+
+  const hint = document.createElement('small');
+  hint.classList.add('wis-worldbook-manager-hint');
+  hint.textContent = i18n('worldManagerPopupHint');
+  dom.append(hint);
+
+  const createSection = (labelKey) => {
+    const section = document.createElement('section');
+    section.classList.add('wis-worldbook-manager-section');
+    const sectionTitle = document.createElement('h4');
+    sectionTitle.textContent = i18n(labelKey);
+    section.append(sectionTitle);
+    dom.append(section);
+    return section;
+  };
+
+  let selectedSort = settings.baseSort;
+
+  const simpleSortSection = createSection('worldManagerSectionSimpleSort');
+  const sortButtonGroup = document.createElement('div');
+  sortButtonGroup.classList.add('wis-worldbook-sort-buttons');
+  simpleSortSection.append(sortButtonGroup);
+
+  const sortOptions = [
+    { mode: WORLDBOOK_SORT_MODE.CREATED_DESC, key: 'worldManagerSortCreatedDesc' },
+    { mode: WORLDBOOK_SORT_MODE.CREATED_ASC, key: 'worldManagerSortCreatedAsc' },
+    { mode: WORLDBOOK_SORT_MODE.NAME_ASC, key: 'worldManagerSortNameAsc' },
+    { mode: WORLDBOOK_SORT_MODE.NAME_DESC, key: 'worldManagerSortNameDesc' },
+    { mode: WORLDBOOK_SORT_MODE.CUSTOM, key: 'worldManagerSortCustom' },
+  ];
+
+  const sortButtons = [];
+  const refreshSortButtonState = () => {
+    sortButtons.forEach(({ button, mode }) => {
+      button.classList.toggle('active', mode === selectedSort);
+    });
+  };
+
+  const updateCustomSectionVisibility = (section) => {
+    section.style.display = selectedSort === WORLDBOOK_SORT_MODE.CUSTOM ? '' : 'none';
+  };
+
+  sortOptions.forEach(({ mode, key }) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.classList.add('menu_button', 'menu_button_small', 'wis-worldbook-sort-btn');
+    button.textContent = i18n(key);
+    button.addEventListener('click', () => {
+      selectedSort = mode;
+      refreshSortButtonState();
+      updateCustomSectionVisibility(customSection);
+    });
+    sortButtonGroup.append(button);
+    sortButtons.push({ button, mode });
+  });
+
+  const prioritySection = createSection('worldManagerSectionPriority');
+
+  const priorityLabel = document.createElement('label');
+  priorityLabel.classList.add('wis-worldbook-manager-input-label');
+  priorityLabel.textContent = i18n('worldManagerPriorityKeywords');
+  prioritySection.append(priorityLabel);
+
+  const priorityInput = document.createElement('input');
+  priorityInput.type = 'text';
+  priorityInput.classList.add('text_pole');
+  priorityInput.placeholder = i18n('worldManagerPriorityKeywordsPlaceholder');
+  priorityInput.value = settings.priorityKeywords.join(', ');
+  prioritySection.append(priorityInput);
+
+  const boundPriorityLabel = document.createElement('label');
+  boundPriorityLabel.classList.add('wis-feature-label', 'wis-worldbook-inline-checkbox');
+  const boundPriorityCheckbox = document.createElement('input');
+  boundPriorityCheckbox.type = 'checkbox';
+  boundPriorityCheckbox.checked = Boolean(settings.prioritizeCharacterBound);
+  const boundPriorityText = document.createElement('span');
+  boundPriorityText.textContent = i18n('worldManagerPrioritizeBound');
+  boundPriorityLabel.append(boundPriorityCheckbox, boundPriorityText);
+  prioritySection.append(boundPriorityLabel);
+
+  const hideSection = createSection('worldManagerSectionHide');
+
+  const hiddenLabel = document.createElement('label');
+  hiddenLabel.classList.add('wis-worldbook-manager-input-label');
+  hiddenLabel.textContent = i18n('worldManagerHiddenKeywords');
+  hideSection.append(hiddenLabel);
+
+  const hiddenInput = document.createElement('input');
+  hiddenInput.type = 'text';
+  hiddenInput.classList.add('text_pole');
+  hiddenInput.placeholder = i18n('worldManagerHiddenKeywordsPlaceholder');
+  hiddenInput.value = settings.hiddenKeywords.join(', ');
+  hideSection.append(hiddenInput);
+
+  const customSection = createSection('worldManagerSectionCustomOrder');
+  const customHint = document.createElement('small');
+  customHint.classList.add('wis-worldbook-manager-hint');
+  customHint.textContent = i18n('worldManagerCustomOrderHint');
+  customSection.append(customHint);
+
+  const customOrderList = document.createElement('div');
+  customOrderList.classList.add('wis-worldbook-order-list');
+  customSection.append(customOrderList);
+
+  refreshSortButtonState();
+  updateCustomSectionVisibility(customSection);
+
+  customOrder.forEach((worldName) => {
+    const item = document.createElement('div');
+    item.classList.add('wis-worldbook-order-item');
+    item.dataset.worldName = worldName;
+
+    const handle = document.createElement('span');
+    handle.classList.add('wis-worldbook-order-handle', 'fa-solid', 'fa-grip-lines');
+    const nameEl = document.createElement('span');
+    nameEl.classList.add('wis-worldbook-order-name');
+    nameEl.textContent = worldName;
+
+    item.append(handle, nameEl);
+    customOrderList.append(item);
+  });
+
+  let sortableEnabled = false;
+  if (typeof $(customOrderList).sortable === 'function') {
+    sortableEnabled = true;
+    $(customOrderList).sortable({
+      items: '.wis-worldbook-order-item',
+      handle: '.wis-worldbook-order-handle',
+      axis: 'y',
+      tolerance: 'pointer',
+    });
+  }
+
+  const tagSection = createSection('worldManagerSectionTagEditor');
+
+  const tagSearchInput = document.createElement('input');
+  tagSearchInput.type = 'text';
+  tagSearchInput.classList.add('text_pole');
+  tagSearchInput.placeholder = i18n('worldManagerTagSearchPlaceholder');
+  tagSection.append(tagSearchInput);
+
+  const statsHint = document.createElement('small');
+  statsHint.classList.add('wis-worldbook-manager-hint');
+  statsHint.textContent = i18n('statsScopeHint', getActivationStatsScope().label);
+  tagSection.append(statsHint);
+
+  const tagRowsWrap = document.createElement('div');
+  tagRowsWrap.classList.add('wis-worldbook-tag-editor-list');
+  tagSection.append(tagRowsWrap);
+
+  const tagRows = [];
+
+  customOrder.forEach((worldName) => {
+    const row = document.createElement('label');
+    row.classList.add('wis-worldbook-tag-editor-row');
+    row.dataset.worldName = worldName;
+
+    const nameEl = document.createElement('span');
+    nameEl.classList.add('wis-worldbook-tag-editor-name');
+    nameEl.textContent = worldName;
+
+    const worldStats = summarizeWorldActivationStats(activationStats, worldName);
+    const statsEl = document.createElement('small');
+    statsEl.classList.add('wis-worldbook-tag-editor-stats');
+    statsEl.textContent = worldStats.activations > 0
+      ? i18n('statsWorldSummary', worldStats.activations, worldStats.firedEntries, new Date(worldStats.lastFired).toLocaleString())
+      : i18n('statsNeverFired');
+
+    const infoEl = document.createElement('div');
+    infoEl.classList.add('wis-worldbook-tag-editor-info');
+    infoEl.append(nameEl, statsEl);
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.classList.add('text_pole');
+    input.placeholder = i18n('worldManagerTagInputPlaceholder');
+    input.value = getWorldbookTags(worldName, settings).join(', ');
+
+    row.append(infoEl, input);
+    tagRowsWrap.append(row);
+    tagRows.push({ row, worldName, input });
+  });
+
+  tagSearchInput.addEventListener('input', () => {
+    const token = normalizeKeywordToken(tagSearchInput.value);
+
+    tagRows.forEach(({ row, worldName, input }) => {
+      if (!token) {
+        row.style.display = '';
+        return;
+      }
+
+      const inName = normalizeKeywordToken(worldName).includes(token);
+      const inTags = normalizeKeywordToken(input.value).includes(token);
+      row.style.display = (inName || inTags) ? '' : 'none';
+    });
+  });
+
+  const popup = new Popup(dom, POPUP_TYPE.CONFIRM, null, {
+    okButton: i18n('worldManagerApply'),
+    cancelButton: i18n('bulkEditCancel'),
+    large: true,
+    wider: true,
+    allowVerticalScrolling: true,
+  });
+
+  const result = await popup.show();
+
+  if (sortableEnabled) {
+    try {
+      if ($(customOrderList).sortable('instance') !== undefined) {
+        $(customOrderList).sortable('destroy');
+      }
+    } catch (_err) {
+      // ignore cleanup errors
+    }
+  }
+
+  if (result !== POPUP_RESULT.AFFIRMATIVE) {
+    return;
+  }
+
+  settings.baseSort = selectedSort;
+  settings.priorityKeywords = parseKeywordInput(priorityInput.value);
+  settings.hiddenKeywords = parseKeywordInput(hiddenInput.value);
+  settings.prioritizeCharacterBound = boundPriorityCheckbox.checked;
+  settings.customOrder = [...customOrderList.querySelectorAll('.wis-worldbook-order-item')]
+    .map((item) => item.dataset.worldName)
+    .filter(Boolean);
+
+  const worldTags = {};
+  tagRows.forEach(({ worldName, input }) => {
+    const tags = parseKeywordInput(input.value);
+    if (tags.length > 0) {
+      worldTags[worldName] = tags;
+    }
+  });
+  settings.worldTags = worldTags;
+
+  const availableTags = getAllConfiguredWorldbookTagsInternal(settings);
+  if (settings.activeTagFilter && !availableTags.some((tag) => normalizeKeywordToken(tag) === normalizeKeywordToken(settings.activeTagFilter))) {
+    settings.activeTagFilter = '';
+  }
+
+  saveSettingsDebounced();
+  scheduleWorldbookManagerRefresh();
+  toastr.success(i18n('worldManagerSaved'));
+}
+
+function refreshWorldbookManagerUI() {
+  const controlsReady = ensureWorldbookManagerControls();
+  if (!controlsReady) return;
+
+  applyWorldbookManagerToEditorSelect();
+  renderWorldbookQuickTagBar();
+}
+
+function scheduleWorldbookManagerRefresh() {
+  if (worldbookManagerRefreshTimer) {
+    clearTimeout(worldbookManagerRefreshTimer);
+  }
+
+  worldbookManagerRefreshTimer = setTimeout(() => {
+    worldbookManagerRefreshTimer = null;
+    refreshWorldbookManagerUI();
+  }, 80);
+}
+
+function initWorldbookManager() {
+  const bindSelectObserver = () => {
+    const sel = document.querySelector('#world_editor_select');
+    if (!sel) return;
+
+    if (worldbookSelectObserver) {
+      worldbookSelectObserver.disconnect();
+    }
+
+    worldbookSelectObserver = new MutationObserver(() => {
+      if (isApplyingWorldbookOptions) return;
+      if (Date.now() < worldbookMutationSuppressedUntil) return;
+      scheduleWorldbookManagerRefresh();
+    });
+
+    worldbookSelectObserver.observe(sel, { childList: true });
+  };
+
+  const trySetup = () => {
+    const ok = ensureWorldbookManagerControls();
+    if (!ok) return false;
+
+    bindSelectObserver();
+    scheduleWorldbookManagerRefresh();
+    return true;
+  };
+
+  if (!trySetup()) {
+    let retries = 0;
+    const retryTimer = setInterval(() => {
+      retries += 1;
       if (trySetup() || retries > 40) {
         clearInterval(retryTimer);
       }
-    }, 250);
+    }, 250);
+  }
+
+  if (worldbookUiObserver) {
+    worldbookUiObserver.disconnect();
+  }
+
+  worldbookUiObserver = new MutationObserver(() => {
+    if (Date.now() < worldbookMutationSuppressedUntil) return;
+
+    const select2Container = document.querySelector('#world_editor_select + .select2');
+    const row = select2Container?.parentElement;
+    const hasManageBtn = row instanceof HTMLElement
+      && Array.from(row.children).some((child) => child instanceof HTMLElement && child.classList.contains('wis-worldbook-manage-btn'));
+
+    if (select2Container && !hasManageBtn) {
+      scheduleWorldbookManagerRefresh();
+    }
+  });
+
+  worldbookUiObserver.observe(document.body, { childList: true, subtree: true });
+
+  eventSource.on(event_types.WORLDINFO_SETTINGS_UPDATED, () => {
+    scheduleWorldbookManagerRefresh();
+  });
+
+  eventSource.on(event_types.CHAT_CHANGED, () => {
+    scheduleWorldbookManagerRefresh();
+  });
+}
+
+function updateWorldbookManagerVisibility() {
+  const enabled = extension_settings.worldInfoSuite?.enableWorldbookManager;
+
+  const manageBtn = document.querySelector('.wis-worldbook-manage-btn');
+  if (manageBtn instanceof HTMLElement) {
+    manageBtn.style.display = enabled ? '' : 'none';
+  }
+
+  const tagBar = document.querySelector('.wis-worldbook-tag-bar');
+  if (tagBar instanceof HTMLElement) {
+    tagBar.style.display = enabled ? '' : 'none';
+  }
+
+  scheduleWorldbookManagerRefresh();
+}
+
+// ============================================================
+// FEATURE 4: Bulk Entry Editor
+// ============================================================
+
+async function copyTextToClipboard(text) {
+  const normalized = String(text ?? '');
+
+  try {
+    if (navigator?.clipboard?.writeText) {
+      await navigator.clipboard.writeText(normalized);
+      return true;
+    }
+  } catch (_err) {
+    // Fallback below
+  }
+
+  try {
+    const textArea = document.createElement('textarea');
+    textArea.value = normalized;
+    textArea.setAttribute('readonly', 'true');
+    textArea.style.position = 'fixed';
+    textArea.style.top = '-9999px';
+    textArea.style.left = '-9999px';
+    document.body.append(textArea);
+    textArea.select();
+    textArea.setSelectionRange(0, textArea.value.length);
+    const copied = document.execCommand('copy');
+    textArea.remove();
+    return copied;
+  } catch (_err) {
+    return false;
+  }
+}
+
+function getEntryDisplayTitle(entry) {
+  if (!entry || typeof entry !== 'object') {
+    return i18n('entryLabel');
+  }
+
+  if (entry.comment && String(entry.comment).trim()) {
+    return String(entry.comment).trim();
+  }
+
+  if (Array.isArray(entry.key) && entry.key.length > 0) {
+    return entry.key.join(', ');
+  }
+
+  return `${i18n('entryLabel')} #${entry.uid ?? ''}`.trim();
+}
+
+async function copyEntryContentsByUid(entriesByUid, uids) {
+  const orderedUids = Array.isArray(uids) ? uids : [];
+  const entries = orderedUids
+    .map((uid) => entriesByUid?.[uid])
+    .filter((entry) => entry && typeof entry === 'object');
+
+  if (entries.length === 0) {
+    toastr.warning(i18n('bulkCopyEntriesNoSelection'));
+    return false;
+  }
+
+  const payload = entries
+    .map((entry) => String(entry.content ?? ''))
+    .join('\n\n');
+
+  const copied = await copyTextToClipboard(payload);
+  if (!copied) {
+    toastr.error(i18n('bulkCopyEntriesClipboardFailed'));
+    return false;
+  }
+
+  if (entries.length === 1) {
+    toastr.success(i18n('bulkCopyEntriesSingleSuccess', getEntryDisplayTitle(entries[0])));
+  } else {
+    toastr.success(i18n('bulkCopyEntriesMultiSuccess', entries.length));
+  }
+
+  return true;
+}
+
+let nativeEntryCopyObserver = null;
+let nativeEntryCopyMountTimer = null;
+const NATIVE_ENTRY_COPY_RETRY_DELAY = 45;
+const NATIVE_ENTRY_COPY_MAX_RETRY = 12;
+
+function getEntryDisplayTitleFromForm(form) {
+  if (!(form instanceof HTMLElement)) {
+    return i18n('entryLabel');
+  }
+
+  const commentInput = form.querySelector('[name="comment"]');
+  if (commentInput && 'value' in commentInput) {
+    const comment = String(commentInput.value ?? '').trim();
+    if (comment) {
+      return comment;
+    }
+  }
+
+  const worldEntry = form.closest('.world_entry');
+  const uid = worldEntry?.getAttribute('uid') || worldEntry?.getAttribute('data-uid') || '';
+  return `${i18n('entryLabel')} #${uid}`.trim();
+}
+
+function mountNativeEntrySingleCopyButton(form) {
+  if (!(form instanceof HTMLElement)) {
+    return false;
+  }
+
+  const contentRow = form.querySelector('span.alignitemscenter.flex-container.flexnowrap.wide100p.justifySpaceBetween');
+  if (!(contentRow instanceof HTMLElement)) {
+    return false;
+  }
+
+  const leftGroup = contentRow.querySelector('span.alignitemscenter.flex-container')
+    || contentRow.firstElementChild;
+  if (!(leftGroup instanceof HTMLElement)) {
+    return false;
+  }
+
+  let copyBtn = leftGroup.querySelector('.wis-entry-content-inline-copy-btn');
+  if (!(copyBtn instanceof HTMLButtonElement)) {
+    copyBtn = document.createElement('button');
+    copyBtn.type = 'button';
+    copyBtn.classList.add('menu_button', 'menu_button_small', 'fa-regular', 'fa-copy', 'wis-entry-content-inline-copy-btn');
+    copyBtn.addEventListener('click', async (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+
+      const contentInput = form.querySelector('[name="content"]');
+      const text = (contentInput && 'value' in contentInput)
+        ? String(contentInput.value ?? '')
+        : '';
+
+      const copied = await copyTextToClipboard(text);
+      if (!copied) {
+        toastr.error(i18n('bulkCopyEntriesClipboardFailed'));
+        return;
+      }
+
+      toastr.success(i18n('bulkCopyEntriesSingleSuccess', getEntryDisplayTitleFromForm(form)));
+    });
+  }
+
+  copyBtn.title = i18n('bulkCopyEntriesSingleButtonTitle');
+  copyBtn.style.display = extension_settings.worldInfoSuite?.enableBulkEditor ? '' : 'none';
+
+  const expandBtn = leftGroup.querySelector('.editor_maximize');
+  if (expandBtn instanceof HTMLElement) {
+    if (expandBtn.nextElementSibling !== copyBtn) {
+      expandBtn.insertAdjacentElement('afterend', copyBtn);
+    }
+  } else if (copyBtn.parentElement !== leftGroup) {
+    leftGroup.append(copyBtn);
+  }
+
+  return true;
+}
+
+function scheduleNativeEntryCopyMountForForm(form, attempt = 0) {
+  if (!(form instanceof HTMLElement)) {
+    return;
+  }
+
+  if (attempt === 0) {
+    if (form.dataset.wisCopyMountPending === '1') {
+      return;
+    }
+    form.dataset.wisCopyMountPending = '1';
+  }
+
+  const delayMs = attempt === 0 ? 0 : NATIVE_ENTRY_COPY_RETRY_DELAY;
+  setTimeout(() => {
+    const mounted = mountNativeEntrySingleCopyButton(form);
+    if (!mounted && attempt < NATIVE_ENTRY_COPY_MAX_RETRY) {
+      scheduleNativeEntryCopyMountForForm(form, attempt + 1);
+      return;
+    }
+
+    delete form.dataset.wisCopyMountPending;
+  }, delayMs);
+}
+
+function updateNativeEntryCopyButtonsVisibility() {
+  const enabled = extension_settings.worldInfoSuite?.enableBulkEditor;
+  document.querySelectorAll('#world_popup_entries_list .wis-entry-content-inline-copy-btn').forEach((btn) => {
+    if (btn instanceof HTMLElement) {
+      btn.style.display = enabled ? '' : 'none';
+    }
+  });
+}
+
+function mountNativeEntryCopyButtons(root = document) {
+  if (!(root instanceof Document) && !(root instanceof HTMLElement)) {
+    return;
+  }
+
+  root.querySelectorAll('#world_popup_entries_list .world_entry form.world_entry_form').forEach((form) => {
+    scheduleNativeEntryCopyMountForForm(form);
+  });
+
+  updateNativeEntryCopyButtonsVisibility();
+}
+
+function scheduleNativeEntryCopyButtonsMount() {
+  if (nativeEntryCopyMountTimer) {
+    clearTimeout(nativeEntryCopyMountTimer);
+  }
+
+  nativeEntryCopyMountTimer = setTimeout(() => {
+    nativeEntryCopyMountTimer = null;
+    mountNativeEntryCopyButtons(document);
+  }, 16);
+}
+
+function initNativeEntryCopyButtons() {
+  const bindObserver = () => {
+    const entryList = document.querySelector('#world_popup_entries_list');
+    if (!(entryList instanceof HTMLElement)) {
+      return false;
+    }
+
+    if (nativeEntryCopyObserver) {
+      nativeEntryCopyObserver.disconnect();
+    }
+
+    nativeEntryCopyObserver = new MutationObserver((mutations) => {
+      const shouldMount = mutations.some((mutation) => mutation.type === 'childList' && (mutation.addedNodes.length > 0 || mutation.removedNodes.length > 0));
+      if (shouldMount) {
+        scheduleNativeEntryCopyButtonsMount();
+      }
+    });
+
+    nativeEntryCopyObserver.observe(entryList, { childList: true, subtree: true });
+
+    entryList.addEventListener('click', (event) => {
+      const target = event.target;
+      if (!(target instanceof Element)) {
+        return;
+      }
+
+      const toggle = target.closest('.inline-drawer-toggle');
+      if (!(toggle instanceof HTMLElement)) {
+        return;
+      }
+
+      const form = toggle.closest('form.world_entry_form');
+      if (!(form instanceof HTMLElement)) {
+        return;
+      }
+
+      scheduleNativeEntryCopyMountForForm(form);
+    }, true);
+
+    scheduleNativeEntryCopyButtonsMount();
+    return true;
+  };
+
+  if (!bindObserver()) {
+    let retries = 0;
+    const retryTimer = setInterval(() => {
+      retries += 1;
+      if (bindObserver() || retries > 40) {
+        clearInterval(retryTimer);
+      }
+    }, 250);
+  }
+
+  eventSource.on(event_types.WORLDINFO_SETTINGS_UPDATED, () => {
+    scheduleNativeEntryCopyButtonsMount();
+  });
+
+  eventSource.on(event_types.CHAT_CHANGED, () => {
+    scheduleNativeEntryCopyButtonsMount();
+  });
+}
+
+// ===== Bulk Edit History =====
+// Each bulk operation is snapshotted first, so it can be reverted from the history dialog
+const BULK_HISTORY_LIMIT = 20;
+const bulkHistoryStore = localforage.createInstance({ name: 'SillyTavern_WorldInfoSuite', storeName: 'bulkHistory' });
+let bulkHistoryQueue = Promise.resolve();
+
+async function captureBookState(name, uids = null) {
+  const data = await loadWorldInfo(name);
+  const entries = {};
+  (uids ?? Object.keys(data?.entries ?? {})).forEach((uid) => {
+    const entry = data?.entries?.[uid];
+    entries[uid] = entry ? structuredClone(entry) : null;
+  });
+  return { name, whole: uids == null, entries };
+}
+
+// books: [{ name, uids }] where uids = null snapshots the whole book
+async function createBulkSnapshot(action, books, count) {
+  const states = [];
+  for (const book of books) {
+    states.push(await captureBookState(book.name, book.uids));
+  }
+  return { id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, action, count, createdAt: Date.now(), books: states };
+}
+
+async function loadBulkHistory(bookName) {
+  const history = await bulkHistoryStore.getItem(bookName);
+  return Array.isArray(history) ? history : [];
+}
+
+function pushBulkHistory(bookName, snapshot) {
+  // Serialized so two quick operations cannot overwrite each other's history
+  bulkHistoryQueue = bulkHistoryQueue.then(async () => {
+    const history = await loadBulkHistory(bookName);
+    history.unshift(snapshot);
+    await bulkHistoryStore.setItem(bookName, history.slice(0, BULK_HISTORY_LIMIT));
+  }).catch((error) => {
+    console.error(`[${extensionName}] Failed to save bulk edit history:`, error);
+  });
+  return bulkHistoryQueue;
+}
+
+async function restoreBulkSnapshot(bookName, snapshot) {
+  // The current state is kept as well, which makes the restore itself undoable from every book it touches
+  const books = snapshot.books.map((state) => ({ name: state.name, uids: state.whole ? null : Object.keys(state.entries) }));
+  const restoreSnapshot = await createBulkSnapshot('restore', books, snapshot.count);
+  for (const name of new Set([bookName, ...snapshot.books.map((state) => state.name)])) {
+    if (name === bookName || world_names?.includes(name)) await pushBulkHistory(name, restoreSnapshot);
+  }
+
+  for (const state of snapshot.books) {
+    // A copy keeps its source book in the snapshot only to show where the entries came from
+    if (!state.whole && Object.keys(state.entries).length === 0) continue;
+
+    if (!world_names?.includes(state.name)) {
+      toastr.warning(i18n('bulkHistoryBookMissing', state.name));
+      continue;
+    }
+
+    const data = await loadWorldInfo(state.name);
+    if (!data) continue;
+
+    if (state.whole) {
+      data.entries = {};
+    }
+    for (const [uid, entry] of Object.entries(state.entries)) {
+      if (entry) {
+        data.entries[uid] = structuredClone(entry);
+      } else if (data.entries[uid]) {
+        await deleteWorldInfoEntry(data, uid, { silent: true });
+      }
+    }
+    await saveWorldInfo(state.name, data, true);
+
+    if (getCurrentWorldEditorSelectionName() === state.name) {
+      document.querySelector('#world_editor_select')?.dispatchEvent(new Event('change', { bubbles: true }));
+    }
   }
+}
 
-  if (worldbookUiObserver) {
-    worldbookUiObserver.disconnect();
+function describeBulkSnapshot(snapshot) {
+  const books = snapshot.books.map((state) => state.name).join(' → ');
+  return i18n('bulkHistoryItem', i18n(`bulkHistoryAction_${snapshot.action}`), snapshot.count, books);
+}
+
+async function confirmAndRestoreBulkSnapshot(bookName, snapshot) {
+  const confirmResult = await Popup.show.confirm(i18n('bulkHistoryRestoreTitle'), i18n('bulkHistoryRestoreConfirm', describeBulkSnapshot(snapshot)));
+  if (confirmResult !== POPUP_RESULT.AFFIRMATIVE) return false;
+
+  try {
+    await restoreBulkSnapshot(bookName, snapshot);
+    toastr.success(i18n('bulkHistoryRestored'));
+    return true;
+  } catch (error) {
+    console.error(`[${extensionName}] Failed to restore bulk edit snapshot:`, error);
+    toastr.error(i18n('bulkHistoryRestoreFailed'));
+    return false;
   }
+}
 
-  worldbookUiObserver = new MutationObserver(() => {
-    if (Date.now() < worldbookMutationSuppressedUntil) return;
+async function showBulkHistoryDialog(bookName) {
+  const dom = document.createElement('div');
+  dom.classList.add('wis-bulk-history-dialog');
 
-    const select2Container = document.querySelector('#world_editor_select + .select2');
-    const row = select2Container?.parentElement;
-    const hasManageBtn = row instanceof HTMLElement
-      && Array.from(row.children).some((child) => child instanceof HTMLElement && child.classList.contains('wis-worldbook-manage-btn'));
+  const title = document.createElement('h3');
+  title.textContent = i18n('bulkHistoryTitle', bookName);
+  dom.append(title);
 
-    if (select2Container && !hasManageBtn) {
-      scheduleWorldbookManagerRefresh();
+  const hint = document.createElement('small');
+  hint.textContent = i18n('bulkHistoryHint', BULK_HISTORY_LIMIT);
+  dom.append(hint);
+
+  const undoButton = document.createElement('div');
+  undoButton.classList.add('menu_button', 'menu_button_small', 'interactable');
+  undoButton.textContent = i18n('bulkHistoryUndoLast');
+  dom.append(undoButton);
+
+  const list = document.createElement('div');
+  list.classList.add('wis-bulk-history-list');
+  dom.append(list);
+
+  let history = [];
+  const renderList = async () => {
+    history = await loadBulkHistory(bookName);
+    list.innerHTML = '';
+    undoButton.classList.toggle('disabled', history.length === 0);
+
+    if (history.length === 0) {
+      const empty = document.createElement('p');
+      empty.textContent = i18n('bulkHistoryEmpty');
+      list.append(empty);
+      return;
     }
-  });
 
-  worldbookUiObserver.observe(document.body, { childList: true, subtree: true });
+    history.forEach((snapshot) => {
+      const row = document.createElement('div');
+      row.classList.add('wis-bulk-history-row');
 
-  eventSource.on(event_types.WORLDINFO_SETTINGS_UPDATED, () => {
-    scheduleWorldbookManagerRefresh();
+      const time = document.createElement('small');
+      time.textContent = new Date(snapshot.createdAt).toLocaleString();
+
+      const summary = document.createElement('span');
+      summary.classList.add('wis-bulk-history-summary');
+      summary.textContent = describeBulkSnapshot(snapshot);
+
+      const restoreButton = document.createElement('div');
+      restoreButton.classList.add('menu_button', 'menu_button_small', 'interactable');
+      restoreButton.textContent = i18n('bulkHistoryRestore');
+      restoreButton.addEventListener('click', async () => {
+        if (await confirmAndRestoreBulkSnapshot(bookName, snapshot)) await renderList();
+      });
+
+      row.append(time, summary, restoreButton);
+      list.append(row);
+    });
+  };
+
+  undoButton.addEventListener('click', async () => {
+    if (history.length === 0) return;
+    if (await confirmAndRestoreBulkSnapshot(bookName, history[0])) await renderList();
   });
 
-  eventSource.on(event_types.CHAT_CHANGED, () => {
-    scheduleWorldbookManagerRefresh();
+  await renderList();
+
+  const popup = new Popup(dom, POPUP_TYPE.TEXT, null, {
+    okButton: i18n('popupClose'),
+    wide: true,
+    allowVerticalScrolling: true,
   });
+  await popup.show();
 }
 
-function updateWorldbookManagerVisibility() {
-  const enabled = extension_settings.worldInfoSuite?.enableWorldbookManager;
+// ===== Detached Template Form =====
+// The template lives in memory only; the book is not touched until Apply
+const TEMPLATE_BOOLEAN_CHOICES = [['', 'templateUseGlobal'], ['true', 'labelYes'], ['false', 'labelNo']];
 
-  const manageBtn = document.querySelector('.wis-worldbook-manage-btn');
-  if (manageBtn instanceof HTMLElement) {
-    manageBtn.style.display = enabled ? '' : 'none';
+function getTemplateEnumOptions(key) {
+  if (key === 'position') {
+    return Object.entries(getPositionInfo()).map(([value, info]) => [value, `${info.emoji} ${info.name}`]);
   }
-
-  const tagBar = document.querySelector('.wis-worldbook-tag-bar');
-  if (tagBar instanceof HTMLElement) {
-    tagBar.style.display = enabled ? '' : 'none';
+  if (key === 'selectiveLogic') {
+    return Object.entries(getSelectiveLogicInfo());
+  }
+  if (key === 'role') {
+    return [0, 1, 2].map((value) => [String(value), roleDisplayName(getRoleString(value))]);
   }
+  return null;
+}
 
-  scheduleWorldbookManagerRefresh();
+function createSelect(options, value) {
+  const select = document.createElement('select');
+  select.classList.add('text_pole');
+  options.forEach(([optionValue, label]) => select.append(new Option(label, optionValue)));
+  select.value = String(value ?? '');
+  return select;
 }
 
-// ============================================================
-// FEATURE 4: Bulk Entry Editor
-// ============================================================
+function createMultiSelect(options) {
+  const select = createSelect(options, '');
+  select.multiple = true;
+  select.value = '';
+  return select;
+}
 
-async function copyTextToClipboard(text) {
-  const normalized = String(text ?? '');
+// Fields without a locale key fall back to the property name
+function getTemplateFieldLabel(key) {
+  return localeData[`templateField_${key}`] ? i18n(`templateField_${key}`) : key;
+}
 
-  try {
-    if (navigator?.clipboard?.writeText) {
-      await navigator.clipboard.writeText(normalized);
-      return true;
+// constant and vectorized are exclusive in ST's editor, so the template edits them as one state
+const TEMPLATE_ENTRY_STATES = ['keyword', 'constant', 'vectorized'];
+
+function getEntryState(entry) {
+  if (entry.constant === true) return 'constant';
+  if (entry.vectorized === true) return 'vectorized';
+  return 'keyword';
+}
+
+function getTemplateFields() {
+  const fields = {};
+  Object.entries(newWorldInfoEntryDefinition).forEach(([key, definition]) => {
+    if (key === 'vectorized') return;
+    if (key === 'constant') {
+      fields.entryState = { default: 'keyword', type: 'entryState' };
+      return;
     }
-  } catch (_err) {
-    // Fallback below
-  }
+    fields[key] = definition;
+  });
+  fields.characterFilter = { default: null, type: 'characterFilter' };
+  return fields;
+}
 
-  try {
-    const textArea = document.createElement('textarea');
-    textArea.value = normalized;
-    textArea.setAttribute('readonly', 'true');
-    textArea.style.position = 'fixed';
-    textArea.style.top = '-9999px';
-    textArea.style.left = '-9999px';
-    document.body.append(textArea);
-    textArea.select();
-    textArea.setSelectionRange(0, textArea.value.length);
-    const copied = document.execCommand('copy');
-    textArea.remove();
-    return copied;
-  } catch (_err) {
-    return false;
-  }
+function getTemplateFieldValue(entry, key) {
+  return key === 'entryState' ? getEntryState(entry) : entry[key];
 }
 
-function getEntryDisplayTitle(entry) {
-  if (!entry || typeof entry !== 'object') {
-    return i18n('entryLabel');
-  }
+// Returns the control and a reader that turns its state back into an entry value
+function createTemplateControl(key, definition) {
+  const type = definition?.type ?? typeof definition?.default;
+  const fallback = definition?.default ?? null;
+  const enumOptions = getTemplateEnumOptions(key);
 
-  if (entry.comment && String(entry.comment).trim()) {
-    return String(entry.comment).trim();
+  if (key === 'entryState') {
+    const select = createSelect(TEMPLATE_ENTRY_STATES.map((state) => [state, i18n(STATUS_NAME_KEYS[state])]), fallback);
+    return { element: select, read: () => select.value };
   }
 
-  if (Array.isArray(entry.key) && entry.key.length > 0) {
-    return entry.key.join(', ');
+  // Triggers are generation types, anything else would never match
+  if (key === 'triggers') {
+    const select = createMultiSelect(Object.keys(GENERATION_TYPE_KEYS).map((generationType) => [generationType, getGenerationTypeLabel(generationType)]));
+    return { element: select, read: () => [...select.selectedOptions].map((option) => option.value) };
   }
 
-  return `${i18n('entryLabel')} #${entry.uid ?? ''}`.trim();
-}
+  if (key === 'characterFilter') {
+    const wrapper = document.createElement('div');
+    wrapper.classList.add('wis-bulk-template-filter');
+    const mode = createSelect([['', i18n('labelDisabled')], ['only', i18n('labelOnly')], ['exclude', i18n('labelExclude')]], '');
+    const names = createMultiSelect((characters ?? []).map((character) => [character.avatar.replace(/\.[^/.]+$/, ''), character.name]));
+    names.title = i18n('labelCharacters');
+    const tagSelect = createMultiSelect((tags ?? []).map((tag) => [tag.id, tag.name]));
+    tagSelect.title = i18n('labelTags');
+    wrapper.append(mode, names, tagSelect);
+    return {
+      element: wrapper,
+      read: () => (mode.value ? {
+        isExclude: mode.value === 'exclude',
+        names: [...names.selectedOptions].map((option) => option.value),
+        tags: [...tagSelect.selectedOptions].map((option) => option.value),
+      } : null),
+    };
+  }
 
-async function copyEntryContentsByUid(entriesByUid, uids) {
-  const orderedUids = Array.isArray(uids) ? uids : [];
-  const entries = orderedUids
-    .map((uid) => entriesByUid?.[uid])
-    .filter((entry) => entry && typeof entry === 'object');
+  if (enumOptions) {
+    const select = createSelect(enumOptions, fallback);
+    return { element: select, read: () => Number(select.value) };
+  }
 
-  if (entries.length === 0) {
-    toastr.warning(i18n('bulkCopyEntriesNoSelection'));
-    return false;
+  if (type === 'boolean?') {
+    const select = createSelect(TEMPLATE_BOOLEAN_CHOICES.map(([value, label]) => [value, i18n(label)]), '');
+    return { element: select, read: () => (select.value === '' ? null : select.value === 'true') };
   }
 
-  const payload = entries
-    .map((entry) => String(entry.content ?? ''))
-    .join('\n\n');
+  if (type === 'boolean') {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = Boolean(fallback);
+    return { element: checkbox, read: () => checkbox.checked };
+  }
 
-  const copied = await copyTextToClipboard(payload);
-  if (!copied) {
-    toastr.error(i18n('bulkCopyEntriesClipboardFailed'));
-    return false;
+  if (type === 'number' || type === 'number?' || type === 'enum') {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.classList.add('text_pole');
+    input.value = fallback == null ? '' : String(fallback);
+    if (type === 'number?') input.placeholder = i18n('templateUseGlobal');
+    return { element: input, read: () => (input.value === '' ? (type === 'number?' ? null : fallback) : Number(input.value)) };
   }
 
-  if (entries.length === 1) {
-    toastr.success(i18n('bulkCopyEntriesSingleSuccess', getEntryDisplayTitle(entries[0])));
-  } else {
-    toastr.success(i18n('bulkCopyEntriesMultiSuccess', entries.length));
+  if (type === 'array') {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.classList.add('text_pole');
+    input.placeholder = i18n('templateListPlaceholder');
+    return { element: input, read: () => input.value.split(',').map((item) => item.trim()).filter(Boolean) };
   }
 
-  return true;
+  const input = document.createElement(key === 'content' ? 'textarea' : 'input');
+  input.classList.add('text_pole');
+  if (key === 'content') input.rows = 6;
+  else input.type = 'text';
+  input.value = String(fallback ?? '');
+  return { element: input, read: () => input.value };
 }
 
-let nativeEntryCopyObserver = null;
-let nativeEntryCopyMountTimer = null;
-const NATIVE_ENTRY_COPY_RETRY_DELAY = 45;
-const NATIVE_ENTRY_COPY_MAX_RETRY = 12;
+// Operations offered next to a field besides overwriting it
+const TEMPLATE_FIELD_MODES = {
+  array: ['set', 'add', 'remove'],
+  number: ['set', 'add', 'subtract'],
+  string: ['set', 'append', 'prepend'],
+  characterFilter: ['set', 'add', 'remove'],
+};
 
-function getEntryDisplayTitleFromForm(form) {
-  if (!(form instanceof HTMLElement)) {
-    return i18n('entryLabel');
-  }
+// Number fields in these modes take an amount rather than a value
+const TEMPLATE_RELATIVE_MODES = ['add', 'subtract'];
+
+// Mirrors the limits of the entry editor inputs, so relative changes cannot leave them
+const TEMPLATE_NUMBER_RANGES = {
+  order: [0, Infinity],
+  depth: [0, 1000],
+  scanDepth: [0, 1000],
+  probability: [0, 100],
+  groupWeight: [1, Infinity],
+  sticky: [0, Infinity],
+  cooldown: [0, Infinity],
+  delay: [0, Infinity],
+};
 
-  const commentInput = form.querySelector('[name="comment"]');
-  if (commentInput && 'value' in commentInput) {
-    const comment = String(commentInput.value ?? '').trim();
-    if (comment) {
-      return comment;
+function clampTemplateNumber(key, value) {
+  const [min, max] = TEMPLATE_NUMBER_RANGES[key] ?? [-Infinity, Infinity];
+  return Math.min(max, Math.max(min, value));
+}
+
+function getTemplateFieldModes(key, definition) {
+  if (key === 'characterFilter') return TEMPLATE_FIELD_MODES.characterFilter;
+  if (getTemplateEnumOptions(key)) return ['set'];
+
+  const type = definition?.type ?? typeof definition?.default;
+  if (type === 'number' || type === 'number?') return TEMPLATE_FIELD_MODES.number;
+  if (type === 'array') return TEMPLATE_FIELD_MODES.array;
+  if (type === 'string') return TEMPLATE_FIELD_MODES.string;
+  return ['set'];
+}
+
+function applyCharacterFilterTemplate(entry, value, mode) {
+  if (mode === 'set' || !entry.characterFilter) {
+    if (mode === 'remove') return;
+    if (value) {
+      entry.characterFilter = JSON.parse(JSON.stringify(value));
+    } else if (mode === 'set') {
+      delete entry.characterFilter;
     }
+    return;
   }
 
-  const worldEntry = form.closest('.world_entry');
-  const uid = worldEntry?.getAttribute('uid') || worldEntry?.getAttribute('data-uid') || '';
-  return `${i18n('entryLabel')} #${uid}`.trim();
+  if (!value) return;
+  const filter = entry.characterFilter;
+  const names = Array.isArray(filter.names) ? filter.names : [];
+  const tagIds = Array.isArray(filter.tags) ? filter.tags : [];
+
+  if (mode === 'add') {
+    filter.names = [...new Set([...names, ...value.names])];
+    filter.tags = [...new Set([...tagIds, ...value.tags])];
+  } else {
+    filter.names = names.filter((item) => !value.names.includes(item));
+    filter.tags = tagIds.filter((item) => !value.tags.includes(item));
+    if (filter.names.length === 0 && filter.tags.length === 0) delete entry.characterFilter;
+  }
 }
 
-function mountNativeEntrySingleCopyButton(form) {
-  if (!(form instanceof HTMLElement)) {
-    return false;
+function applyTemplateField(entry, key, value, mode = 'set') {
+  if (key === 'characterFilter') {
+    applyCharacterFilterTemplate(entry, value, mode);
+    return;
   }
 
-  const contentRow = form.querySelector('span.alignitemscenter.flex-container.flexnowrap.wide100p.justifySpaceBetween');
-  if (!(contentRow instanceof HTMLElement)) {
-    return false;
+  if (key === 'entryState') {
+    entry.constant = value === 'constant';
+    entry.vectorized = value === 'vectorized';
+    return;
   }
 
-  const leftGroup = contentRow.querySelector('span.alignitemscenter.flex-container')
-    || contentRow.firstElementChild;
-  if (!(leftGroup instanceof HTMLElement)) {
-    return false;
+  const current = entry[key];
+  switch (mode) {
+    case 'add':
+      if (Array.isArray(value)) {
+        const existing = Array.isArray(current) ? current : [];
+        entry[key] = [...existing, ...value.filter((item) => !existing.includes(item))];
+      } else if (value != null) {
+        entry[key] = clampTemplateNumber(key, (Number(current) || 0) + Number(value));
+      }
+      break;
+    case 'remove':
+      entry[key] = (Array.isArray(current) ? current : []).filter((item) => !value.includes(item));
+      break;
+    case 'subtract':
+      if (value != null) entry[key] = clampTemplateNumber(key, (Number(current) || 0) - Number(value));
+      break;
+    case 'append':
+      entry[key] = `${current ?? ''}${value}`;
+      break;
+    case 'prepend':
+      entry[key] = `${value}${current ?? ''}`;
+      break;
+    default:
+      entry[key] = Array.isArray(value) ? [...value] : value;
+      break;
   }
+}
 
-  let copyBtn = leftGroup.querySelector('.wis-entry-content-inline-copy-btn');
-  if (!(copyBtn instanceof HTMLButtonElement)) {
-    copyBtn = document.createElement('button');
-    copyBtn.type = 'button';
-    copyBtn.classList.add('menu_button', 'menu_button_small', 'fa-regular', 'fa-copy', 'wis-entry-content-inline-copy-btn');
-    copyBtn.addEventListener('click', async (event) => {
-      event.preventDefault();
-      event.stopPropagation();
+function formatTemplateValue(key, value) {
+  if (key === 'entryState') return i18n(STATUS_NAME_KEYS[value] ?? 'statusKeyword');
+  if (key === 'triggers' && Array.isArray(value)) return value.map(getGenerationTypeLabel).join(', ') || `(${i18n('labelEmpty')})`;
+  if (key === 'characterFilter') {
+    if (!value) return i18n('labelDisabled');
+    const names = value.names?.join(', ') || i18n('labelNone');
+    const tagNames = value.tags?.join(', ') || i18n('labelNone');
+    const mode = value.isExclude ? i18n('labelExclude') : i18n('labelOnly');
+    return `${i18n('labelMode')}: ${mode}, ${i18n('labelCharacters')}: ${names}, ${i18n('labelTags')}: ${tagNames}`;
+  }
+  if (typeof value === 'boolean') return value ? i18n('labelYes') : i18n('labelNo');
+  if (Array.isArray(value)) return value.join(', ');
+  if (value === null || value === undefined || value === '') return `(${i18n('labelEmpty')})`;
+  return String(value);
+}
 
-      const contentInput = form.querySelector('[name="content"]');
-      const text = (contentInput && 'value' in contentInput)
-        ? String(contentInput.value ?? '')
-        : '';
+function createBulkTemplateForm() {
+  const template = {};
+  const modes = {};
+  const changeList = [];
+
+  const form = document.createElement('div');
+  form.classList.add('wis-bulk-template-form');
+
+  Object.entries(getTemplateFields()).forEach(([key, definition]) => {
+    template[key] = structuredClone(definition?.default ?? null);
+
+    modes[key] = 'set';
+
+    const row = document.createElement('div');
+    row.classList.add('wis-bulk-template-field');
+
+    const name = document.createElement('span');
+    name.classList.add('wis-bulk-template-name');
+    name.textContent = getTemplateFieldLabel(key);
+    name.title = key;
+
+    const fieldModes = getTemplateFieldModes(key, definition);
+    const modeSelect = createSelect(fieldModes.map((mode) => [mode, i18n(`templateMode_${mode}`)]), 'set');
+    modeSelect.classList.add('wis-bulk-template-mode');
+    modeSelect.disabled = fieldModes.length === 1;
+
+    const control = createTemplateControl(key, definition);
+    const { element } = control;
+    const isRelative = () => element.type === 'number' && TEMPLATE_RELATIVE_MODES.includes(modes[key]);
+    // An empty amount leaves the field alone instead of falling back to its default
+    const read = () => (isRelative() && element.value === '' ? null : control.read());
+    const setChanged = (changed) => {
+      const index = changeList.indexOf(key);
+      if (changed && index === -1) changeList.push(key);
+      if (!changed && index !== -1) changeList.splice(index, 1);
+      row.classList.toggle('wis-bulk-field-changed', changed);
+    };
 
-      const copied = await copyTextToClipboard(text);
-      if (!copied) {
-        toastr.error(i18n('bulkCopyEntriesClipboardFailed'));
-        return;
+    $(element).on('input change', () => {
+      template[key] = read();
+      setChanged(true);
+    });
+    modeSelect.addEventListener('change', () => {
+      const wasRelative = isRelative();
+      modes[key] = modeSelect.value;
+      // The input starts at the field default, which would otherwise turn straight into +100 and the like
+      if (isRelative() && !wasRelative) {
+        element.value = '';
+      } else if (!isRelative() && wasRelative && element.value === '') {
+        element.value = String(definition?.default ?? '');
       }
+      template[key] = read();
+      setChanged(true);
+    });
+    row.addEventListener('click', (event) => {
+      if (!event.ctrlKey) return;
+      event.preventDefault();
+      template[key] = read();
+      setChanged(!changeList.includes(key));
+    }, true);
 
-      toastr.success(i18n('bulkCopyEntriesSingleSuccess', getEntryDisplayTitleFromForm(form)));
+    row.append(name, modeSelect, element);
+    form.append(row);
+  });
+
+  return { form, template, modes, changeList };
+}
+
+// ===== Find & Replace =====
+const FIND_REPLACE_FIELDS = ['content', 'key', 'keysecondary', 'comment'];
+const DIFF_CONTEXT_LENGTH = 40;
+
+function buildFindRegex(find, { regex, caseSensitive, wholeWord }) {
+  let source = regex ? find : escapeRegex(find);
+  // Same boundary rule as findKeyInText and ST's matchKeys; \b would never match next to CJK characters
+  if (wholeWord) source = `(?<=^|\\W)(?:${source})(?=$|\\W)`;
+  return new RegExp(source, caseSensitive ? 'g' : 'gi');
+}
+
+function replaceInText(text, regex, replacement, literal) {
+  const source = String(text ?? '');
+  const count = source.match(regex)?.length ?? 0;
+  if (count === 0) return { value: source, count };
+  // Plain text replacements must not expand $1 or $&
+  return { value: source.replace(regex, literal ? () => replacement : replacement), count };
+}
+
+function replaceInField(value, regex, replacement, literal) {
+  if (!Array.isArray(value)) return replaceInText(value, regex, replacement, literal);
+
+  let count = 0;
+  const replaced = value
+    .map((item) => {
+      const result = replaceInText(item, regex, replacement, literal);
+      count += result.count;
+      return result.value.trim();
+    })
+    .filter(Boolean);
+  return { value: replaced, count };
+}
+
+// targets: [{ bookName, data, uids }] where uids = null searches the whole book
+function collectFindReplaceHits(targets, regex, replacement, { literal, fields }) {
+  const hits = [];
+  targets.forEach(({ bookName, data, uids }) => {
+    (uids ?? Object.keys(data?.entries ?? {})).forEach((uid) => {
+      const entry = data?.entries?.[uid];
+      if (!entry) return;
+      fields.forEach((field) => {
+        const { value, count } = replaceInField(entry[field], regex, replacement, literal);
+        if (count === 0) return;
+        hits.push({
+          bookName,
+          uid: entry.uid,
+          entryName: getEntryDisplayTitle(entry),
+          field,
+          before: entry[field],
+          after: value,
+          count,
+        });
+      });
     });
-  }
+  });
+  return hits;
+}
 
-  copyBtn.title = i18n('bulkCopyEntriesSingleButtonTitle');
-  copyBtn.style.display = extension_settings.worldInfoSuite?.enableBulkEditor ? '' : 'none';
+function summarizeFindReplaceHits(hits) {
+  const perField = Object.fromEntries(FIND_REPLACE_FIELDS.map((field) => [field, 0]));
+  hits.forEach((hit) => perField[hit.field] += hit.count);
+  const total = hits.reduce((sum, hit) => sum + hit.count, 0);
+  const entries = new Set(hits.map((hit) => `${hit.bookName}.${hit.uid}`)).size;
+  const fields = FIND_REPLACE_FIELDS.map((field) => `${field}: ${perField[field]}`).join(', ');
+  return i18n('findReplaceSummary', total, entries, fields);
+}
 
-  const expandBtn = leftGroup.querySelector('.editor_maximize');
-  if (expandBtn instanceof HTMLElement) {
-    if (expandBtn.nextElementSibling !== copyBtn) {
-      expandBtn.insertAdjacentElement('afterend', copyBtn);
+function renderValueDiff(before, after) {
+  const format = (value) => (Array.isArray(value) ? value.join(', ') : String(value ?? ''));
+  const dmp = new DiffMatchPatch();
+  const diffs = dmp.diff_main(format(before), format(after));
+  dmp.diff_cleanupSemantic(diffs);
+
+  const diffElement = document.createElement('div');
+  diffElement.classList.add('wis-diff');
+  diffs.forEach(([operation, text]) => {
+    const span = document.createElement('span');
+    if (operation === 0) {
+      // Long unchanged stretches are shortened so the hits stay readable
+      span.textContent = text.length > DIFF_CONTEXT_LENGTH * 3
+        ? `${text.slice(0, DIFF_CONTEXT_LENGTH)} … ${text.slice(-DIFF_CONTEXT_LENGTH)}`
+        : text;
+    } else {
+      span.classList.add(operation < 0 ? 'wis-diff-del' : 'wis-diff-ins');
+      span.textContent = text;
     }
-  } else if (copyBtn.parentElement !== leftGroup) {
-    leftGroup.append(copyBtn);
+    diffElement.append(span);
+  });
+  return diffElement;
+}
+
+// The replacement is run again on the entry as it is now, in case it changed after the preview
+async function applyFindReplaceHits(hits, { regex, replacement, literal }) {
+  const applied = [];
+  const byBook = new Map();
+  hits.forEach((hit) => {
+    if (!byBook.has(hit.bookName)) byBook.set(hit.bookName, []);
+    byBook.get(hit.bookName).push(hit);
+  });
+
+  for (const [bookName, bookHits] of byBook) {
+    const uids = [...new Set(bookHits.map((hit) => String(hit.uid)))];
+    await pushBulkHistory(bookName, await createBulkSnapshot('replace', [{ name: bookName, uids }], uids.length));
+
+    const data = await loadWorldInfo(bookName);
+    bookHits.forEach((hit) => {
+      const entry = data?.entries?.[hit.uid];
+      if (!entry) return;
+      const { value, count } = replaceInField(entry[hit.field], regex, replacement, literal);
+      if (count === 0) return;
+      entry[hit.field] = value;
+      applied.push({ ...hit, after: value, count });
+    });
+    await saveWorldInfo(bookName, data, true);
   }
 
-  return true;
+  return applied;
 }
 
-function scheduleNativeEntryCopyMountForForm(form, attempt = 0) {
-  if (!(form instanceof HTMLElement)) {
-    return;
-  }
+async function showFindReplaceDialog(bookName, selectedUids) {
+  const dom = document.createElement('div');
+  dom.classList.add('wis-find-replace-dialog');
 
-  if (attempt === 0) {
-    if (form.dataset.wisCopyMountPending === '1') {
+  const title = document.createElement('h3');
+  title.textContent = i18n('findReplaceTitle');
+  dom.append(title);
+
+  const createTextInput = (placeholder) => {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.classList.add('text_pole');
+    input.placeholder = placeholder;
+    return input;
+  };
+  const findInput = createTextInput(i18n('findReplaceFind'));
+  const replaceInput = createTextInput(i18n('findReplaceReplace'));
+  dom.append(findInput, replaceInput);
+
+  const createCheckbox = (labelText, checked = false) => {
+    const label = document.createElement('label');
+    label.classList.add('checkbox_label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = checked;
+    const text = document.createElement('span');
+    text.textContent = labelText;
+    label.append(checkbox, text);
+    return { label, checkbox };
+  };
+
+  const options = document.createElement('div');
+  options.classList.add('wis-find-replace-options');
+  const caseSensitive = createCheckbox(i18n('findReplaceCaseSensitive'));
+  const wholeWord = createCheckbox(i18n('findReplaceWholeWord'));
+  const useRegex = createCheckbox(i18n('findReplaceRegex'));
+  options.append(caseSensitive.label, wholeWord.label, useRegex.label);
+  dom.append(options);
+
+  const fieldOptions = document.createElement('div');
+  fieldOptions.classList.add('wis-find-replace-options');
+  const fieldCheckboxes = FIND_REPLACE_FIELDS.map((field) => {
+    const { label, checkbox } = createCheckbox(field, true);
+    fieldOptions.append(label);
+    return { field, checkbox };
+  });
+  dom.append(fieldOptions);
+
+  const scopeSelect = document.createElement('select');
+  scopeSelect.classList.add('text_pole');
+  const selectedOption = new Option(i18n('findReplaceScopeSelected', selectedUids.length), 'selected');
+  selectedOption.disabled = selectedUids.length === 0;
+  scopeSelect.append(
+    selectedOption,
+    new Option(i18n('findReplaceScopeBook', bookName), 'book'),
+    new Option(i18n('findReplaceScopeBooks'), 'books'),
+  );
+  scopeSelect.value = selectedUids.length > 0 ? 'selected' : 'book';
+
+  const bookSelect = document.createElement('select');
+  bookSelect.classList.add('text_pole', 'wis-find-replace-books');
+  bookSelect.multiple = true;
+  (world_names ?? []).forEach((worldName) => {
+    const option = new Option(worldName, worldName);
+    option.selected = worldName === bookName;
+    bookSelect.append(option);
+  });
+  bookSelect.hidden = true;
+  scopeSelect.addEventListener('change', () => bookSelect.hidden = scopeSelect.value !== 'books');
+  dom.append(scopeSelect, bookSelect);
+
+  const previewButton = document.createElement('div');
+  previewButton.classList.add('menu_button', 'menu_button_small', 'interactable');
+  previewButton.textContent = i18n('findReplacePreview');
+  dom.append(previewButton);
+
+  const summary = document.createElement('small');
+  summary.classList.add('wis-find-replace-summary');
+  const results = document.createElement('div');
+  results.classList.add('wis-find-replace-results');
+  dom.append(summary, results);
+
+  let previewHits = [];
+  let previewStale = true;
+  let previewReplacement = null;
+  const markStale = () => previewStale = true;
+  dom.addEventListener('input', (event) => {
+    if (!results.contains(/** @type {Node} */ (event.target))) markStale();
+  });
+  dom.addEventListener('change', (event) => {
+    if (!results.contains(/** @type {Node} */ (event.target))) markStale();
+  });
+
+  const runPreview = async () => {
+    results.innerHTML = '';
+    previewHits = [];
+
+    if (!findInput.value) {
+      summary.textContent = i18n('findReplaceNoQuery');
       return;
     }
-    form.dataset.wisCopyMountPending = '1';
-  }
 
-  const delayMs = attempt === 0 ? 0 : NATIVE_ENTRY_COPY_RETRY_DELAY;
-  setTimeout(() => {
-    const mounted = mountNativeEntrySingleCopyButton(form);
-    if (!mounted && attempt < NATIVE_ENTRY_COPY_MAX_RETRY) {
-      scheduleNativeEntryCopyMountForForm(form, attempt + 1);
+    let regex;
+    try {
+      regex = buildFindRegex(findInput.value, {
+        regex: useRegex.checkbox.checked,
+        caseSensitive: caseSensitive.checkbox.checked,
+        wholeWord: wholeWord.checkbox.checked,
+      });
+    } catch (error) {
+      summary.textContent = i18n('findReplaceInvalidRegex', error.message);
       return;
     }
 
-    delete form.dataset.wisCopyMountPending;
-  }, delayMs);
-}
-
-function updateNativeEntryCopyButtonsVisibility() {
-  const enabled = extension_settings.worldInfoSuite?.enableBulkEditor;
-  document.querySelectorAll('#world_popup_entries_list .wis-entry-content-inline-copy-btn').forEach((btn) => {
-    if (btn instanceof HTMLElement) {
-      btn.style.display = enabled ? '' : 'none';
+    let targets;
+    if (scopeSelect.value === 'books') {
+      targets = [];
+      for (const option of bookSelect.selectedOptions) {
+        targets.push({ bookName: option.value, data: await loadWorldInfo(option.value), uids: null });
+      }
+    } else {
+      targets = [{ bookName, data: await loadWorldInfo(bookName), uids: scopeSelect.value === 'selected' ? selectedUids : null }];
     }
+
+    previewReplacement = { regex, replacement: replaceInput.value, literal: !useRegex.checkbox.checked };
+    previewHits = collectFindReplaceHits(targets, regex, replaceInput.value, {
+      literal: previewReplacement.literal,
+      fields: fieldCheckboxes.filter(({ checkbox }) => checkbox.checked).map(({ field }) => field),
+    });
+    previewStale = false;
+    summary.textContent = previewHits.length > 0 ? summarizeFindReplaceHits(previewHits) : i18n('findReplaceNoHits');
+
+    previewHits.forEach((hit) => {
+      const row = document.createElement('label');
+      row.classList.add('wis-find-replace-hit');
+
+      const include = document.createElement('input');
+      include.type = 'checkbox';
+      include.checked = true;
+      include.addEventListener('change', () => hit.excluded = !include.checked);
+
+      const info = document.createElement('div');
+      info.classList.add('wis-find-replace-hit-body');
+      const heading = document.createElement('small');
+      heading.textContent = `${hit.bookName} | ${hit.entryName} · ${hit.field} (${hit.count})`;
+      info.append(heading, renderValueDiff(hit.before, hit.after));
+
+      row.append(include, info);
+      results.append(row);
+    });
+  };
+  previewButton.addEventListener('click', () => {
+    runPreview().catch((error) => {
+      console.error(`[${extensionName}] Find & replace preview failed:`, error);
+    });
   });
-}
 
-function mountNativeEntryCopyButtons(root = document) {
-  if (!(root instanceof Document) && !(root instanceof HTMLElement)) {
-    return;
-  }
+  let okToClose = false;
+  const dlg = new Popup(dom, POPUP_TYPE.CONFIRM, null, {
+    okButton: i18n('findReplaceApply'),
+    cancelButton: i18n('bulkEditCancel'),
+    wide: true,
+    large: true,
+    allowVerticalScrolling: true,
+    onClosing: () => okToClose,
+  });
+  const prom = dlg.show();
 
-  root.querySelectorAll('#world_popup_entries_list .world_entry form.world_entry_form').forEach((form) => {
-    scheduleNativeEntryCopyMountForForm(form);
+  dlg.dlg.querySelector('.popup-button-ok').addEventListener('click', async () => {
+    const hits = previewHits.filter((hit) => !hit.excluded);
+    if (previewStale || hits.length === 0) {
+      toastr.warning(i18n('findReplacePreviewFirst'));
+      return;
+    }
+
+    const confirmResult = await Popup.show.confirm(i18n('findReplaceTitle'), summarizeFindReplaceHits(hits));
+    if (confirmResult !== POPUP_RESULT.AFFIRMATIVE) return;
+
+    okToClose = true;
+    dlg.completeAffirmative();
   });
 
-  updateNativeEntryCopyButtonsVisibility();
-}
+  dlg.dlg.querySelector('.popup-button-cancel').addEventListener('click', () => {
+    okToClose = true;
+    dlg.completeNegative();
+  });
 
-function scheduleNativeEntryCopyButtonsMount() {
-  if (nativeEntryCopyMountTimer) {
-    clearTimeout(nativeEntryCopyMountTimer);
-  }
+  if (await prom !== POPUP_RESULT.AFFIRMATIVE) return false;
 
-  nativeEntryCopyMountTimer = setTimeout(() => {
-    nativeEntryCopyMountTimer = null;
-    mountNativeEntryCopyButtons(document);
-  }, 16);
+  const hits = await applyFindReplaceHits(previewHits.filter((hit) => !hit.excluded), previewReplacement);
+  toastr.success(summarizeFindReplaceHits(hits));
+  return true;
 }
 
-function initNativeEntryCopyButtons() {
-  const bindObserver = () => {
-    const entryList = document.querySelector('#world_popup_entries_list');
-    if (!(entryList instanceof HTMLElement)) {
-      return false;
-    }
+// ===== Entry Queries =====
+const ENTRY_QUERY_DEFAULTS = {
+  search: '',
+  stats: 'all',
+  state: '',
+  type: '',
+  position: '',
+  depthMin: '',
+  depthMax: '',
+  orderMin: '',
+  orderMax: '',
+  group: '',
+  secondary: '',
+  contentMin: '',
+  contentMax: '',
+  keyContains: '',
+  characterFilter: '',
+  filterNames: [],
+  filterTags: [],
+};
 
-    if (nativeEntryCopyObserver) {
-      nativeEntryCopyObserver.disconnect();
-    }
+function getEntryTypeKey(entry) {
+  if (entry.constant === true) return 'constant';
+  if (entry.vectorized === true) return 'vectorized';
+  return 'keyword';
+}
 
-    nativeEntryCopyObserver = new MutationObserver((mutations) => {
-      const shouldMount = mutations.some((mutation) => mutation.type === 'childList' && (mutation.addedNodes.length > 0 || mutation.removedNodes.length > 0));
-      if (shouldMount) {
-        scheduleNativeEntryCopyButtonsMount();
-      }
-    });
+function isInQueryRange(value, min, max) {
+  return (min === '' || value >= Number(min)) && (max === '' || value <= Number(max));
+}
 
-    nativeEntryCopyObserver.observe(entryList, { childList: true, subtree: true });
+// Search text and activation stats are matched against the list labels, everything else against the entry
+function matchesEntryQuery(entry, query) {
+  if (query.state === 'enabled' && entry.disable) return false;
+  if (query.state === 'disabled' && !entry.disable) return false;
+  if (query.type && getEntryTypeKey(entry) !== query.type) return false;
+  if (query.position !== '' && String(entry.position ?? 0) !== query.position) return false;
+  if (!isInQueryRange(Number(entry.depth ?? 0), query.depthMin, query.depthMax)) return false;
+  if (!isInQueryRange(Number(entry.order ?? 0), query.orderMin, query.orderMax)) return false;
+  if (!isInQueryRange(String(entry.content ?? '').length, query.contentMin, query.contentMax)) return false;
+
+  if (query.group && !String(entry.group ?? '').toLowerCase().includes(query.group.toLowerCase())) return false;
+
+  const hasSecondary = Array.isArray(entry.keysecondary) && entry.keysecondary.length > 0;
+  if (query.secondary && (query.secondary === 'has') !== hasSecondary) return false;
+
+  if (query.keyContains) {
+    const needle = query.keyContains.toLowerCase();
+    const keys = Array.isArray(entry.key) ? entry.key : [];
+    if (!keys.some((key) => String(key).toLowerCase().includes(needle))) return false;
+  }
 
-    entryList.addEventListener('click', (event) => {
-      const target = event.target;
-      if (!(target instanceof Element)) {
-        return;
-      }
+  return matchesCharacterFilterQuery(entry.characterFilter, query);
+}
 
-      const toggle = target.closest('.inline-drawer-toggle');
-      if (!(toggle instanceof HTMLElement)) {
-        return;
-      }
+// 'only' and 'exclude' match the filter mode of the entry; picked characters or tags must appear in its filter
+function matchesCharacterFilterQuery(filter, query) {
+  const names = Array.isArray(filter?.names) ? filter.names : [];
+  const tagIds = Array.isArray(filter?.tags) ? filter.tags : [];
+  const hasFilter = names.length > 0 || tagIds.length > 0;
+
+  if (query.characterFilter === 'none') return !hasFilter;
+  if (query.characterFilter === 'has' && !hasFilter) return false;
+  if (query.characterFilter === 'only' && (!hasFilter || filter.isExclude)) return false;
+  if (query.characterFilter === 'exclude' && (!hasFilter || !filter.isExclude)) return false;
+
+  const pickedNames = query.filterNames ?? [];
+  const pickedTags = query.filterTags ?? [];
+  if (pickedNames.length === 0 && pickedTags.length === 0) return true;
+  return pickedNames.some((name) => names.includes(name)) || pickedTags.some((tagId) => tagIds.includes(tagId));
+}
 
-      const form = toggle.closest('form.world_entry_form');
-      if (!(form instanceof HTMLElement)) {
-        return;
-      }
+function createEntryQueryControls() {
+  const element = document.createElement('details');
+  element.classList.add('wis-bulk-query');
+
+  const summary = document.createElement('summary');
+  summary.textContent = i18n('bulkQueryFilters');
+  element.append(summary);
+
+  const grid = document.createElement('div');
+  grid.classList.add('wis-bulk-query-grid');
+  element.append(grid);
+
+  const controls = {};
+  const addRow = (labelKey, ...inputs) => {
+    const label = document.createElement('span');
+    label.textContent = i18n(labelKey);
+    const cell = document.createElement('div');
+    cell.classList.add('wis-bulk-query-cell');
+    cell.append(...inputs);
+    grid.append(label, cell);
+  };
+  const select = (field, options) => {
+    controls[field] = createSelect([['', i18n('bulkQueryAny')], ...options], '');
+    return controls[field];
+  };
+  const input = (field, type, placeholder = '') => {
+    const control = document.createElement('input');
+    control.type = type;
+    control.classList.add('text_pole');
+    control.placeholder = placeholder;
+    controls[field] = control;
+    return control;
+  };
 
-      scheduleNativeEntryCopyMountForForm(form);
-    }, true);
+  addRow('bulkQueryState', select('state', [['enabled', i18n('bulkQueryEnabled')], ['disabled', i18n('bulkQueryDisabled')]]));
+  addRow('bulkQueryType', select('type', [
+    ['constant', i18n('statusConstant')],
+    ['vectorized', i18n('statusVectorized')],
+    ['keyword', i18n('statusKeyword')],
+  ]));
+  addRow('bulkQueryPosition', select('position', Object.entries(getPositionInfo()).map(([value, info]) => [value, `${info.emoji} ${info.name}`])));
+  addRow('bulkQueryDepth', input('depthMin', 'number', i18n('bulkQueryMin')), input('depthMax', 'number', i18n('bulkQueryMax')));
+  addRow('bulkQueryOrder', input('orderMin', 'number', i18n('bulkQueryMin')), input('orderMax', 'number', i18n('bulkQueryMax')));
+  addRow('bulkQueryContentLength', input('contentMin', 'number', i18n('bulkQueryMin')), input('contentMax', 'number', i18n('bulkQueryMax')));
+  addRow('bulkQueryGroup', input('group', 'text'));
+  addRow('bulkQueryKeyContains', input('keyContains', 'text'));
+  addRow('bulkQuerySecondary', select('secondary', [['has', i18n('bulkQueryHas')], ['none', i18n('bulkQueryNone')]]));
+  addRow('bulkQueryCharacterFilter', select('characterFilter', [
+    ['has', i18n('bulkQueryHas')],
+    ['none', i18n('bulkQueryNone')],
+    ['only', i18n('labelOnly')],
+    ['exclude', i18n('labelExclude')],
+  ]));
+
+  controls.filterNames = createMultiSelect((characters ?? []).map((character) => [character.avatar.replace(/\.[^/.]+$/, ''), character.name]));
+  controls.filterNames.title = i18n('labelCharacters');
+  controls.filterTags = createMultiSelect((tags ?? []).map((tag) => [tag.id, tag.name]));
+  controls.filterTags.title = i18n('labelTags');
+  addRow('bulkQueryFilterTargets', controls.filterNames, controls.filterTags);
 
-    scheduleNativeEntryCopyButtonsMount();
-    return true;
+  return {
+    element,
+    read: () => Object.fromEntries(Object.entries(controls).map(([field, control]) => [
+      field,
+      control.multiple ? [...control.selectedOptions].map((option) => option.value) : control.value.trim(),
+    ])),
+    write: (query) => Object.entries(controls).forEach(([field, control]) => {
+      if (control.multiple) {
+        const values = query[field] ?? [];
+        [...control.options].forEach((option) => option.selected = values.includes(option.value));
+      } else {
+        control.value = query[field] ?? '';
+      }
+    }),
   };
+}
 
-  if (!bindObserver()) {
-    let retries = 0;
-    const retryTimer = setInterval(() => {
-      retries += 1;
-      if (bindObserver() || retries > 40) {
-        clearInterval(retryTimer);
-      }
-    }, 250);
-  }
+function getSavedEntryQueries(bookName) {
+  return extension_settings.worldInfoSuite.bulkSavedQueries?.[bookName] ?? {};
+}
 
-  eventSource.on(event_types.WORLDINFO_SETTINGS_UPDATED, () => {
-    scheduleNativeEntryCopyButtonsMount();
-  });
+function setSavedEntryQuery(bookName, queryName, query) {
+  const savedQueries = extension_settings.worldInfoSuite.bulkSavedQueries ??= {};
+  const bookQueries = savedQueries[bookName] ??= {};
 
-  eventSource.on(event_types.CHAT_CHANGED, () => {
-    scheduleNativeEntryCopyButtonsMount();
-  });
+  if (query) {
+    bookQueries[queryName] = query;
+  } else {
+    delete bookQueries[queryName];
+    if (Object.keys(bookQueries).length === 0) delete savedQueries[bookName];
+  }
+  saveSettingsDebounced();
 }
 
 function initBulkEditor() {
@@ -1887,99 +6131,7 @@ function initBulkEditor() {
       : sel.selectedOptions[0].textContent;
     const data = await loadWorldInfo(name);
 
-    // Create a template entry
-    const entry = createWorldInfoEntry(null, data);
-    await saveWorldInfo(name, data, true);
-    sel.dispatchEvent(new Event('change', { bubbles: true }));
-
-    // Wait for the template form to render
-    let form = document.querySelector(`#world_popup_entries_list .world_entry[uid="${entry.uid}"]`);
-    while (!form) {
-      await delay(100);
-      form = document.querySelector(`#world_popup_entries_list .world_entry[uid="${entry.uid}"]`);
-    }
-    form.querySelector('.inline-drawer-toggle')?.click();
-
-    const changeList = [];
-    const mapping = { 'selectiveLogic': 'entryLogicType' };
-    const noParent = ['content', 'entryStateSelector', 'entryKillSwitch'];
-
-    const hookInput = (key, inputs) => {
-      for (const input of inputs) {
-        const isSelect2 = input.classList.contains('select2-hidden-accessible') || input.style.display === 'none';
-
-        const getTargetElement = () => {
-          if (isSelect2) {
-            const next = input.nextElementSibling;
-            if (next && next.classList.contains('select2-container')) {
-              return next.querySelector('.select2-selection') || next;
-            }
-          }
-          if (noParent.includes(key)) return input;
-          return input.parentElement;
-        };
-
-        const targetElement = getTargetElement();
-
-        const addChange = () => {
-          if (!changeList.includes(key)) {
-            changeList.push(key);
-            if (targetElement) targetElement.style.setProperty('outline', '2px solid orange', 'important');
-          }
-        };
-
-        const removeChange = () => {
-          if (changeList.includes(key)) {
-            changeList.splice(changeList.indexOf(key), 1);
-            if (targetElement) targetElement.style.removeProperty('outline');
-          }
-        };
-
-        if (key !== 'entryKillSwitch') {
-          $(input).on('input change select2:select select2:unselect', addChange);
-        }
-
-        const clickTarget = isSelect2 ? targetElement : input;
-        if (clickTarget) {
-          clickTarget.addEventListener('click', (evt) => {
-            if (evt.ctrlKey) {
-              evt.preventDefault();
-              evt.stopImmediatePropagation();
-              if (changeList.includes(key)) {
-                removeChange();
-              } else {
-                addChange();
-              }
-            } else if (key === 'entryKillSwitch') {
-              addChange();
-            }
-          }, true);
-        }
-      }
-    };
-
-    // Hook all possible inputs
-    for (const key of Object.keys(newWorldInfoEntryDefinition)) {
-      let input = [...form.querySelectorAll(`[name="${mapping[key] ?? key}"]`)];
-      let snakeKey;
-      if (!input.length) {
-        snakeKey = key.replace(/([A-Z])/g, (_, c) => `_${c.toLowerCase()}`);
-        input = [...form.querySelectorAll(`[name="${snakeKey}"]`)];
-      }
-      if (input.length) {
-        hookInput(key, input);
-      }
-    }
-
-    // Manually hook special ones
-    hookInput('entryStateSelector', [...form.querySelectorAll('[name="entryStateSelector"]')]);
-    hookInput('entryKillSwitch', [...form.querySelectorAll('[name="entryKillSwitch"]')]);
-    hookInput('key', [...form.querySelectorAll('[name="key"]')]);
-    hookInput('keysecondary', [...form.querySelectorAll('[name="keysecondary"]')]);
-    hookInput('characterFilter', [
-      ...form.querySelectorAll('[name="characterFilter"]'),
-      ...form.querySelectorAll('[name="character_exclusion"]'),
-    ]);
+    const { form, template, modes, changeList } = createBulkTemplateForm();
 
     // Build the dialog UI
     const dom = document.createElement('div');
@@ -2005,19 +6157,92 @@ function initBulkEditor() {
     selectionHeader.textContent = i18n('bulkEditSelectEntries');
     selectionPanel.append(selectionHeader);
 
+    const activationStats = await loadActivationStats();
+
     const searchInput = document.createElement('input');
     searchInput.type = 'text';
     searchInput.placeholder = i18n('bulkEditSearchPlaceholder');
     searchInput.classList.add('text_pole');
-    searchInput.addEventListener('input', () => {
+    selectionPanel.append(searchInput);
+
+    const statsFilterSelect = document.createElement('select');
+    statsFilterSelect.classList.add('text_pole', 'wis-bulk-stats-filter');
+    statsFilterSelect.title = i18n('statsScopeHint', getActivationStatsScope().label);
+    statsFilterSelect.append(
+      new Option(i18n('statsFilterAll'), 'all'),
+      new Option(i18n('statsFilterNeverFired'), 'never'),
+      new Option(i18n('statsFilterFired'), 'fired'),
+    );
+    selectionPanel.append(statsFilterSelect);
+
+    const entryQuery = createEntryQueryControls();
+    selectionPanel.append(entryQuery.element);
+
+    const applyEntryFilters = () => {
       const searchTerm = searchInput.value.toLowerCase();
+      const statsFilter = statsFilterSelect.value;
+      const query = entryQuery.read();
       const labels = selectionPanel.querySelectorAll('.wis-bulk-entry-label');
       labels.forEach((label) => {
-        const entryName = label.textContent.toLowerCase();
-        label.style.display = entryName.includes(searchTerm) ? '' : 'none';
+        const entryName = label.querySelector('.wis-bulk-entry-name')?.textContent.toLowerCase() ?? '';
+        const fired = Number(label.dataset.firedCount) > 0;
+        const matchesStats = statsFilter === 'all' || (statsFilter === 'fired') === fired;
+        const entryData = data.entries[label.querySelector('.wis-bulk-entry-checkbox').value];
+        const matchesQuery = !entryData || matchesEntryQuery(entryData, query);
+        label.style.display = entryName.includes(searchTerm) && matchesStats && matchesQuery ? '' : 'none';
       });
+    };
+    searchInput.addEventListener('input', applyEntryFilters);
+    statsFilterSelect.addEventListener('change', applyEntryFilters);
+    entryQuery.element.addEventListener('input', applyEntryFilters);
+    entryQuery.element.addEventListener('change', applyEntryFilters);
+
+    // Saved queries keep the search text and stats filter as well
+    const savedQueryRow = document.createElement('div');
+    savedQueryRow.classList.add('wis-bulk-saved-queries');
+
+    const savedQuerySelect = document.createElement('select');
+    savedQuerySelect.classList.add('text_pole');
+    const renderSavedQueries = (selectedName = '') => {
+      savedQuerySelect.innerHTML = '';
+      savedQuerySelect.append(new Option(i18n('bulkQuerySaved'), ''));
+      Object.keys(getSavedEntryQueries(name)).sort().forEach((queryName) => savedQuerySelect.append(new Option(queryName, queryName)));
+      savedQuerySelect.value = selectedName;
+    };
+    renderSavedQueries();
+    savedQuerySelect.addEventListener('change', () => {
+      const query = getSavedEntryQueries(name)[savedQuerySelect.value];
+      if (!query) return;
+      const fullQuery = { ...ENTRY_QUERY_DEFAULTS, ...query };
+      searchInput.value = fullQuery.search;
+      statsFilterSelect.value = fullQuery.stats;
+      entryQuery.write(fullQuery);
+      entryQuery.element.open = true;
+      applyEntryFilters();
     });
-    selectionPanel.append(searchInput);
+
+    const saveQueryBtn = document.createElement('div');
+    saveQueryBtn.classList.add('menu_button', 'menu_button_small', 'fa-solid', 'fa-floppy-disk');
+    saveQueryBtn.title = i18n('bulkQuerySave');
+    saveQueryBtn.addEventListener('click', async () => {
+      const queryName = String(await Popup.show.input(i18n('bulkQuerySave'), i18n('bulkQuerySavePrompt'), savedQuerySelect.value) ?? '').trim();
+      if (!queryName) return;
+      setSavedEntryQuery(name, queryName, { ...entryQuery.read(), search: searchInput.value, stats: statsFilterSelect.value });
+      renderSavedQueries(queryName);
+      toastr.success(i18n('bulkQuerySaved_done', queryName));
+    });
+
+    const deleteQueryBtn = document.createElement('div');
+    deleteQueryBtn.classList.add('menu_button', 'menu_button_small', 'fa-solid', 'fa-trash-can');
+    deleteQueryBtn.title = i18n('bulkQueryDelete');
+    deleteQueryBtn.addEventListener('click', () => {
+      if (!savedQuerySelect.value) return;
+      setSavedEntryQuery(name, savedQuerySelect.value, null);
+      renderSavedQueries();
+    });
+
+    savedQueryRow.append(savedQuerySelect, saveQueryBtn, deleteQueryBtn);
+    selectionPanel.append(savedQueryRow);
 
     const selectionActions = document.createElement('div');
     selectionActions.classList.add('wis-bulk-selection-actions');
@@ -2037,12 +6262,40 @@ function initBulkEditor() {
       selectionPanel.querySelectorAll('.wis-bulk-entry-checkbox').forEach((cb) => cb.checked = false);
     });
     selectionActions.append(deselectAllBtn);
+
+    const getVisibleCheckboxes = () => [...selectionPanel.querySelectorAll('.wis-bulk-entry-label')]
+      .filter((label) => label.style.display !== 'none')
+      .map((label) => label.querySelector('.wis-bulk-entry-checkbox'));
+
+    const invertBtn = document.createElement('div');
+    invertBtn.textContent = i18n('bulkQueryInvert');
+    invertBtn.classList.add('menu_button', 'menu_button_small');
+    invertBtn.title = i18n('bulkQueryInvertTitle');
+    invertBtn.addEventListener('click', () => {
+      getVisibleCheckboxes().forEach((cb) => cb.checked = !cb.checked);
+    });
+    selectionActions.append(invertBtn);
     selectionPanel.append(selectionActions);
 
     const entryListContainer = document.createElement('div');
     entryListContainer.classList.add('wis-bulk-entry-list');
 
-    Object.values(data.entries).filter((it) => it.uid !== entry.uid).forEach((e) => {
+    // Shift+click selects the visible range since the previous click
+    let lastClickedCheckbox = null;
+    entryListContainer.addEventListener('click', (event) => {
+      const checkbox = event.target;
+      if (!(checkbox instanceof HTMLInputElement) || !checkbox.classList.contains('wis-bulk-entry-checkbox')) return;
+
+      const visible = getVisibleCheckboxes();
+      const from = visible.indexOf(lastClickedCheckbox);
+      const to = visible.indexOf(checkbox);
+      if (event.shiftKey && from !== -1 && to !== -1) {
+        visible.slice(Math.min(from, to), Math.max(from, to) + 1).forEach((cb) => cb.checked = checkbox.checked);
+      }
+      lastClickedCheckbox = checkbox;
+    });
+
+    Object.values(data.entries).forEach((e) => {
       const label = document.createElement('label');
       label.classList.add('wis-bulk-entry-label');
 
@@ -2052,10 +6305,27 @@ function initBulkEditor() {
       checkbox.value = e.uid;
 
       const text = document.createElement('span');
+      text.classList.add('wis-bulk-entry-name');
       text.textContent = `[${e.uid}] ${e.comment || e.key.join(', ')}`;
       text.title = `[${e.uid}] ${e.comment || e.key.join(', ')}`;
 
-      label.append(checkbox, text);
+      const entryStats = getEntryActivationStats(activationStats, name, e.uid);
+      label.dataset.firedCount = String(entryStats?.count ?? 0);
+      const statsText = document.createElement('small');
+      statsText.classList.add('wis-bulk-entry-stats');
+      statsText.classList.toggle('wis-bulk-entry-never', !entryStats?.count);
+      statsText.textContent = formatActivationStats(entryStats);
+
+      const diagnoseBtn = document.createElement('i');
+      diagnoseBtn.classList.add('fa-solid', 'fa-stethoscope', 'wis-bulk-entry-diagnose');
+      diagnoseBtn.title = i18n('diagOpenTitle');
+      diagnoseBtn.addEventListener('click', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        showEntryDiagnosticsDialog({ worldName: name, uid: e.uid });
+      });
+
+      label.append(checkbox, text, statsText, diagnoseBtn);
       entryListContainer.append(label);
     });
     selectionPanel.append(entryListContainer);
@@ -2067,7 +6337,6 @@ function initBulkEditor() {
     const templateHeader = document.createElement('h4');
     templateHeader.textContent = i18n('bulkEditTemplate');
     templatePanel.append(templateHeader);
-    form.querySelectorAll('.wis-entry-content-inline-copy-btn').forEach((btnElem) => btnElem.remove());
     templatePanel.append(form);
 
     contentWrapper.append(selectionPanel, templatePanel);
@@ -2086,6 +6355,7 @@ function initBulkEditor() {
       customButtons: [
         { text: i18n('bulkEditMoveCopy'), classes: ['wis-bulk-move-copy'] },
         { text: i18n('bulkEditCopyContents'), classes: ['wis-bulk-copy-contents'] },
+        { text: i18n('findReplaceBtn'), classes: ['wis-bulk-find-replace'] },
         { text: i18n('bulkEditDelete'), classes: ['wis-bulk-delete', 'deleteworld_button'] },
       ],
     });
@@ -2105,40 +6375,64 @@ function initBulkEditor() {
         return;
       }
 
-      let confirmationHtml = `<h3>${i18n('bulkEditConfirmTitle')}</h3><p>${i18n('bulkEditConfirmMsg', selectedUids.length)}</p><ul>`;
-
-      const tempBook = await loadWorldInfo(name);
-      const templateEntry = tempBook.entries[entry.uid];
-
-      for (const key of changeList) {
-        let newValue = templateEntry[key];
-        if (key === 'characterFilter') {
-          if (newValue) {
-            const names = newValue.names.join(', ') || i18n('labelNone');
-            const tags = newValue.tags.join(', ') || i18n('labelNone');
-            const mode = newValue.isExclude ? i18n('labelExclude') : i18n('labelOnly');
-            newValue = `${i18n('labelMode')}: ${mode}, ${i18n('labelCharacters')}: ${names}, ${i18n('labelTags')}: ${tags}`;
-          } else {
-            newValue = `<i>${i18n('labelDisabled')}</i>`;
-          }
-          confirmationHtml += `<li><b>${key}</b>: <pre>${newValue}</pre></li>`;
-          continue;
-        }
-        if (typeof newValue === 'boolean') {
-          newValue = newValue ? i18n('labelYes') : i18n('labelNo');
-        } else if (Array.isArray(newValue)) {
-          newValue = newValue.join(', ');
-        } else if (newValue === null || newValue === '') {
-          newValue = `<i>${i18n('labelEmpty')}</i>`;
-        }
-        confirmationHtml += `<li><b>${key}</b>: <pre>${newValue}</pre></li>`;
-      }
-      confirmationHtml += `</ul><p>${i18n('bulkEditConfirmIrreversible')}</p>`;
+      const confirmation = document.createElement('div');
+      confirmation.classList.add('wis-bulk-confirm');
+
+      const confirmTitle = document.createElement('h3');
+      confirmTitle.textContent = i18n('bulkEditConfirmTitle');
+      const confirmMessage = document.createElement('p');
+      confirmMessage.textContent = i18n('bulkEditConfirmMsg', selectedUids.length);
+      confirmation.append(confirmTitle, confirmMessage);
+
+      const changeSummary = document.createElement('ul');
+      changeList.forEach((key) => {
+        const item = document.createElement('li');
+        const keyLabel = document.createElement('b');
+        keyLabel.textContent = `${getTemplateFieldLabel(key)} (${i18n(`templateMode_${modes[key]}`)})`;
+        const value = document.createElement('pre');
+        value.textContent = formatTemplateValue(key, template[key]);
+        item.append(keyLabel, value);
+        changeSummary.append(item);
+      });
+      confirmation.append(changeSummary);
+
+      // Relative operations differ per entry, so every entry gets its own before/after
+      const previewBook = await loadWorldInfo(name);
+      selectedUids.forEach((uid) => {
+        const original = previewBook.entries[uid];
+        if (!original) return;
+        const updated = structuredClone(original);
+        changeList.forEach((key) => applyTemplateField(updated, key, template[key], modes[key]));
+
+        const entryBlock = document.createElement('div');
+        entryBlock.classList.add('wis-bulk-confirm-entry');
+        const entryTitle = document.createElement('b');
+        entryTitle.textContent = `[${uid}] ${getEntryDisplayTitle(original)}`;
+        entryBlock.append(entryTitle);
+
+        changeList.forEach((key) => {
+          const before = formatTemplateValue(key, getTemplateFieldValue(original, key));
+          const after = formatTemplateValue(key, getTemplateFieldValue(updated, key));
+          const fieldLabel = document.createElement('small');
+          fieldLabel.textContent = before === after
+            ? `${getTemplateFieldLabel(key)}: ${i18n('bulkEditConfirmUnchanged')}`
+            : getTemplateFieldLabel(key);
+          entryBlock.append(fieldLabel);
+          if (before !== after) entryBlock.append(renderValueDiff(before, after));
+        });
+        confirmation.append(entryBlock);
+      });
 
-      const confirmResult = await Popup.show.confirm(i18n('bulkEditConfirmTitle'), confirmationHtml, {
+      const irreversible = document.createElement('p');
+      irreversible.textContent = i18n('bulkEditConfirmIrreversible');
+      confirmation.append(irreversible);
+
+      const confirmResult = await new Popup(confirmation, POPUP_TYPE.CONFIRM, null, {
         okButton: i18n('bulkEditConfirmOk'),
         cancelButton: i18n('bulkEditConfirmCancel'),
-      });
+        wide: true,
+        allowVerticalScrolling: true,
+      }).show();
 
       if (confirmResult === POPUP_RESULT.AFFIRMATIVE) {
         okToClose = true;
@@ -2204,6 +6498,14 @@ function initBulkEditor() {
 
       const deleteOriginal = moveCopyResult === POPUP_RESULT.CUSTOM2;
 
+      // Only the moved entries and the ones created in the target are snapshotted, so undo leaves other edits alone
+      const snapshot = await createBulkSnapshot(
+        deleteOriginal ? 'move' : 'copy',
+        [{ name: sourceName, uids: deleteOriginal ? selectedUids : [] }],
+        selectedUids.length,
+      );
+      const targetUidsBefore = new Set(Object.keys((await loadWorldInfo(targetName))?.entries ?? {}));
+
       let successCount = 0;
       let errorCount = 0;
       for (const uid of selectedUids) {
@@ -2215,6 +6517,11 @@ function initBulkEditor() {
         }
       }
 
+      const createdUids = Object.keys((await loadWorldInfo(targetName))?.entries ?? {}).filter((uid) => !targetUidsBefore.has(uid));
+      snapshot.books.push({ name: targetName, whole: false, entries: Object.fromEntries(createdUids.map((uid) => [uid, null])) });
+      await pushBulkHistory(sourceName, snapshot);
+      await pushBulkHistory(targetName, snapshot);
+
       const action = deleteOriginal ? i18n('moveCopyActionMoved') : i18n('moveCopyActionCopied');
       toastr.success(i18n('moveCopySuccess', action, successCount, targetName));
       if (errorCount > 0) {
@@ -2237,6 +6544,17 @@ function initBulkEditor() {
       await copyEntryContentsByUid(data.entries, selectedUids);
     });
 
+    // Handle Find & Replace button
+    dlg.dlg.querySelector('.wis-bulk-find-replace').addEventListener('click', async () => {
+      const selectedUids = [...entryListContainer.querySelectorAll('.wis-bulk-entry-checkbox:checked')].map((cb) => cb.value);
+      if (!await showFindReplaceDialog(name, selectedUids)) return;
+
+      // The entry list is stale after writing, close like move/copy does
+      actionMode = 'findReplace';
+      okToClose = true;
+      dlg.completeAffirmative();
+    });
+
     // Handle Delete button
     dlg.dlg.querySelector('.wis-bulk-delete').addEventListener('click', async () => {
       const selectedUids = [...entryListContainer.querySelectorAll('.wis-bulk-entry-checkbox:checked')].map((cb) => cb.value);
@@ -2266,86 +6584,55 @@ function initBulkEditor() {
       dlg.completeNegative();
     });
 
-    // Observer for Select2 containers
-    const mo = new MutationObserver((muts) => {
-      for (const mut of muts) {
-        for (const n of [...mut.addedNodes].filter((it) => it instanceof HTMLElement && it.parentElement === document.body)) {
-          if (!(n instanceof HTMLElement)) continue;
-          if (n.classList.contains('select2-container')) {
-            dlg.dlg.append(n);
-          }
-        }
-      }
-    });
-    mo.observe(document.body, { childList: true, subtree: true });
-
     const outcome = await prom;
-    mo.disconnect();
 
-    if (outcome === POPUP_RESULT.AFFIRMATIVE) {
+    // Move/copy and find & replace already wrote their changes from inside the dialog
+    if (outcome === POPUP_RESULT.AFFIRMATIVE && (actionMode === 'apply' || actionMode === 'delete')) {
       const book = await loadWorldInfo(name);
+      const selectedUids = [...entryListContainer.querySelectorAll('.wis-bulk-entry-checkbox:checked')].map((cb) => cb.value);
+      const newEntry = template;
 
-      if (actionMode === 'moveCopy') {
-        await deleteWorldInfoEntry(book, entry.uid, { silent: true });
-        await saveWorldInfo(name, book, true);
-      } else {
-        const selectedUids = [...entryListContainer.querySelectorAll('.wis-bulk-entry-checkbox:checked')].map((cb) => cb.value);
-        const newEntry = book.entries[entry.uid];
-
-        for (const uid of selectedUids) {
-          if (deleteTargets) {
-            await deleteWorldInfoEntry(book, uid, { silent: true });
-          } else {
-            const e = book.entries[uid];
-            if (!e) continue;
-            for (const key of changeList) {
-              switch (key) {
-                case 'entryStateSelector':
-                  e.constant = newEntry.constant;
-                  e.vectorized = newEntry.vectorized;
-                  break;
-                case 'entryKillSwitch':
-                  e.disable = newEntry.disable;
-                  break;
-                case 'characterFilter':
-                  if (newEntry.characterFilter) {
-                    e.characterFilter = JSON.parse(JSON.stringify(newEntry.characterFilter));
-                  } else {
-                    delete e.characterFilter;
-                  }
-                  break;
-                default:
-                  if (Array.isArray(newEntry[key])) {
-                    e[key] = [...newEntry[key]];
-                  } else {
-                    e[key] = newEntry[key];
-                  }
-                  break;
-              }
-            }
+      await pushBulkHistory(name, await createBulkSnapshot(deleteTargets ? 'delete' : 'apply', [{ name, uids: selectedUids }], selectedUids.length));
+
+      for (const uid of selectedUids) {
+        if (deleteTargets) {
+          await deleteWorldInfoEntry(book, uid, { silent: true });
+        } else {
+          const e = book.entries[uid];
+          if (!e) continue;
+          for (const key of changeList) {
+            applyTemplateField(e, key, newEntry[key], modes[key]);
           }
         }
-
-        await deleteWorldInfoEntry(book, entry.uid, { silent: true });
-        await saveWorldInfo(name, book, true);
-
-        const action = deleteTargets ? i18n('bulkEditActionDeleted') : i18n('bulkEditActionModified');
-        toastr.success(i18n('bulkEditSuccess', action, selectedUids.length));
       }
-    } else {
-      // Cancelled - clean up the template entry
-      const book = await loadWorldInfo(name);
-      await deleteWorldInfoEntry(book, entry.uid, { silent: true });
+
       await saveWorldInfo(name, book, true);
+
+      const action = deleteTargets ? i18n('bulkEditActionDeleted') : i18n('bulkEditActionModified');
+      toastr.success(i18n('bulkEditSuccess', action, selectedUids.length));
     }
 
     sel.dispatchEvent(new Event('change', { bubbles: true }));
   });
 
-  // Insert the button
+  const historyBtn = document.createElement('div');
+  historyBtn.id = 'wis-bulk-history-btn';
+  historyBtn.classList.add('wis-bulk-trigger', 'menu_button', 'fa-solid', 'fa-clock-rotate-left');
+  historyBtn.title = i18n('bulkHistoryBtnTitle');
+  historyBtn.addEventListener('click', () => {
+    const name = getCurrentWorldEditorSelectionName();
+    if (!name) {
+      toastr.warning(i18n('bulkEditNoWorldSelected'));
+      return;
+    }
+    showBulkHistoryDialog(name);
+  });
+
+  // Insert the buttons
   const anchor = document.querySelector('#world_apply_current_sorting');
   if (anchor) {
     anchor.insertAdjacentElement('afterend', btn);
+    btn.insertAdjacentElement('afterend', historyBtn);
   }
 
   // Update button visibility based on settings
@@ -2353,10 +6640,12 @@ function initBulkEditor() {
 }
 
 function updateBulkEditorVisibility() {
-  const btn = document.getElementById('wis-bulk-edit-btn');
-  if (btn) {
-    btn.style.display = extension_settings.worldInfoSuite?.enableBulkEditor ? '' : 'none';
-  }
+  ['wis-bulk-edit-btn', 'wis-bulk-history-btn'].forEach((id) => {
+    const btn = document.getElementById(id);
+    if (btn) {
+      btn.style.display = extension_settings.worldInfoSuite?.enableBulkEditor ? '' : 'none';
+    }
+  });
 
   updateNativeEntryCopyButtonsVisibility();
 }
@@ -2389,7 +6678,8 @@ async function loadSettings() {
   // Bind change handlers
   $('#wis_enable_triggered_viewer').on('change', function () {
     extension_settings.worldInfoSuite.enableTriggeredViewer = $(this).prop('checked');
-    saveSettingsDebounced();
+    setViewerHudEnabled(extension_settings.worldInfoSuite.viewerHudEnabled);
+    updateLivePreviewMenuItem();
   });
 
   $('#wis_enable_char_lorebook').on('change', function () {
@@ -2436,6 +6726,95 @@ async function loadSettings() {
     }
   });
 
+  $('#wis_timeline_btn').on('click', function () {
+    showActivationTimelineDialog();
+  });
+
+  $('#wis_timed_effects_btn').on('click', function () {
+    showTimedEffectsDialog();
+  });
+
+  $('#wis_open_report_btn').on('click', function () {
+    openReportFile();
+  });
+
+  $('#wis_session_log_btn').on('click', function () {
+    showSessionLogDialog();
+  });
+
+  $('#wis_reset_stats_btn').on('click', async function () {
+    const confirmResult = await Popup.show.confirm(i18n('statsResetConfirmTitle'), i18n('statsResetConfirmText'));
+    if (confirmResult !== POPUP_RESULT.AFFIRMATIVE) return;
+
+    try {
+      await clearActivationStats();
+      toastr.success(i18n('statsResetDone'));
+    } catch (error) {
+      console.error(`[${extensionName}] Failed to reset activation statistics:`, error);
+      toastr.error(i18n('statsResetFailed'));
+    }
+  });
+
+  $('#wis_viewer_hud_enabled').prop('checked', extension_settings.worldInfoSuite.viewerHudEnabled);
+  $('#wis_viewer_hud_dock').val(extension_settings.worldInfoSuite.viewerHudDock);
+  $('#wis_viewer_hud_width').val(extension_settings.worldInfoSuite.viewerHudWidth);
+  $('#wis_viewer_hud_height').val(extension_settings.worldInfoSuite.viewerHudHeight);
+
+  $('#wis_viewer_hud_enabled').on('change', function () {
+    setViewerHudEnabled($(this).prop('checked'));
+  });
+
+  $('#wis_viewer_hud_dock').on('change', function () {
+    extension_settings.worldInfoSuite.viewerHudDock = $(this).val();
+    saveSettingsDebounced();
+    applyViewerHudLayout();
+  });
+
+  $('#wis_viewer_hud_width, #wis_viewer_hud_height').on('change', function () {
+    const value = parseInt($(this).val(), 10);
+    const isWidth = this.id === 'wis_viewer_hud_width';
+    if (isNaN(value) || value < (isWidth ? 200 : 20)) return;
+    extension_settings.worldInfoSuite[isWidth ? 'viewerHudWidth' : 'viewerHudHeight'] = isWidth ? value : Math.min(value, 100);
+    saveSettingsDebounced();
+    applyViewerHudLayout();
+  });
+
+  $('#wis_viewer_archive_enabled').prop('checked', extension_settings.worldInfoSuite.viewerArchiveEnabled);
+  $('#wis_viewer_archive_max_age').val(extension_settings.worldInfoSuite.viewerArchiveMaxAgeDays);
+  $('#wis_viewer_archive_max_size').val(extension_settings.worldInfoSuite.viewerArchiveMaxSizeMb);
+
+  $('#wis_viewer_archive_enabled').on('change', function () {
+    extension_settings.worldInfoSuite.viewerArchiveEnabled = $(this).prop('checked');
+    saveSettingsDebounced();
+    loadViewerArchiveIndex().catch((error) => {
+      console.warn(`[${extensionName}] Failed to load World Info archive:`, error);
+    });
+  });
+
+  $('#wis_viewer_archive_max_age, #wis_viewer_archive_max_size').on('change', function () {
+    const value = parseInt($(this).val(), 10);
+    if (isNaN(value) || value < 0) return;
+    const key = this.id === 'wis_viewer_archive_max_age' ? 'viewerArchiveMaxAgeDays' : 'viewerArchiveMaxSizeMb';
+    extension_settings.worldInfoSuite[key] = value;
+    saveSettingsDebounced();
+    applyViewerArchiveRetention().catch((error) => {
+      console.warn(`[${extensionName}] Failed to apply archive retention:`, error);
+    });
+  });
+
+  $('#wis_clear_archive_btn').on('click', async function () {
+    const confirmResult = await Popup.show.confirm(i18n('archiveClearConfirmTitle'), i18n('archiveClearConfirmText'));
+    if (confirmResult !== POPUP_RESULT.AFFIRMATIVE) return;
+
+    try {
+      await clearViewerArchive();
+      toastr.success(i18n('archiveCleared'));
+    } catch (error) {
+      console.error(`[${extensionName}] Failed to clear World Info archive:`, error);
+      toastr.error(i18n('archiveClearFailed'));
+    }
+  });
+
   $('#wis_clear_cache_btn').on('click', function () {
     const count = clearAllViewerCache();
     if (count > 0) {
@@ -2457,6 +6836,21 @@ async function loadSettings() {
     updateAllViewerButtonIcons(icon);
     saveSettingsDebounced();
   });
+
+  $('#wis_viewer_button_placement').val(extension_settings.worldInfoSuite.viewerButtonPlacement);
+  $('#wis_viewer_button_badge').prop('checked', extension_settings.worldInfoSuite.viewerButtonBadge);
+
+  $('#wis_viewer_button_placement').on('change', function () {
+    extension_settings.worldInfoSuite.viewerButtonPlacement = $(this).val();
+    saveSettingsDebounced();
+    refreshAllViewButtons();
+  });
+
+  $('#wis_viewer_button_badge').on('change', function () {
+    extension_settings.worldInfoSuite.viewerButtonBadge = $(this).prop('checked');
+    saveSettingsDebounced();
+    refreshAllViewButtons();
+  });
 }
 
 // Update icon preview in settings panel
@@ -2491,6 +6885,8 @@ function updateAllViewerButtonIcons(iconClass) {
 
   // Initialize features
   initTriggeredViewer();
+  initLivePreview();
+  initViewerHud();
   initCharLorebookQuickAccess();
   initWorldbookManager();
   initBulkEditor();